@@ -0,0 +1,60 @@
+// asset fingerprinting functions
+import { createHash } from 'node:crypto';
+import { posix } from 'node:path';
+
+
+// insert a content hash into a filename
+// css/main.css => css/main.3f2a9c1d.css
+export function hashName(filename, content, length = 8) {
+
+  const
+    hash = createHash('sha1').update(content).digest('hex').slice(0, Math.max(4, length)),
+    p = posix.parse(filename);
+
+  return (p.dir ? p.dir + '/' : '') + p.name + '.' + hash + p.ext;
+
+}
+
+
+// rewrite CSS url() values
+// fn(url) returns a new URL
+export function cssURLs(css, fn) {
+
+  return String(css || '').replace(
+    /\burl\(\s*(["']?)([^"')]+)\1\s*\)/gi,
+    (m, q, url) => `url(${ q }${ fn(url.trim()) }${ q })`
+  );
+
+}
+
+
+// resolve a URL using an asset manifest Map of build path => hashed build path
+// root-relative URLs return root-relative URLs
+// other URLs are relative to the base build directory or the root when base is null
+// unknown and external URLs are returned unchanged
+export function assetURL(url, manifest, root = '/', base = null) {
+
+  url = String(url ?? '');
+  if (!manifest?.size || !url || /^(?:[a-z][a-z\d+.-]*:|\/\/|#|[$!]\{)/i.test(url)) return url;
+
+  const
+    suffix = url.match(/[?#].*$/)?.[0] || '',
+    path = url.slice(0, url.length - suffix.length),
+    absolute = path.startsWith('/');
+
+  root = posix.join('/', root || '', '/');
+  if (absolute && !path.startsWith(root)) return url;
+
+  const
+    file = posix.normalize( absolute ? path.slice(root.length) : posix.join(base || '', path) ),
+    hashed = manifest.get(file);
+
+  if (!hashed || file.startsWith('..')) return url;
+
+  return (
+    absolute || base === null
+      ? root + hashed
+      : posix.relative(base || '.', hashed)
+  ) + suffix;
+
+}
@@ -0,0 +1,99 @@
+// excerpt functions
+
+// elements without closing tags
+const voidElement = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+
+// create an HTML excerpt from content before a marker
+// or the first paragraphs up to a maximum number of words
+// opt: { marker (string or RegExp), paragraphs, words, ellipsis }
+export function htmlExcerpt(html, opt = {}) {
+
+  html = String(html || '');
+
+  // content before the marker
+  const mIdx = !opt.marker ? -1 : typeof opt.marker === 'string' ? html.indexOf(opt.marker) : html.search(opt.marker);
+  if (mIdx >= 0) return htmlTruncate( html.slice(0, mIdx) ).trim();
+
+  // first paragraphs
+  if (opt.paragraphs) {
+    const para = html.match(/<p\b[^>]*>[\s\S]*?<\/p>/gi);
+    if (para) html = para.slice(0, opt.paragraphs).join('\n');
+  }
+
+  return htmlTruncate(html, opt.words || Infinity, opt.ellipsis || '').trim();
+
+}
+
+
+// truncate HTML to a number of words, removing comments and balancing tags
+// ellipsis is appended when words are removed
+export function htmlTruncate(html, words = Infinity, ellipsis = '') {
+
+  let
+    out = '',
+    open = [],
+    count = 0,
+    mark = { length: 0, open: [] };
+
+  for (const [, comment, tag, text] of String(html || '').matchAll(/(<!--[\s\S]*?(?:-->|$))|(<[^>]*>)|([^<]+|<)/g)) {
+
+    if (comment) continue;
+
+    // element tags
+    if (tag) {
+
+      const el = tag.match(/^<(\/?)([a-z][\w-]*)/i);
+      if (!el) {
+        out += tag;
+        continue;
+      }
+
+      const name = el[2].toLowerCase();
+
+      // closing tag: close unclosed child elements and ignore unopened elements
+      if (el[1]) {
+        const idx = open.lastIndexOf(name);
+        while (idx >= 0 && open.length > idx) out += `</${ open.pop() }>`;
+        continue;
+      }
+
+      out += tag;
+      if (!voidElement.has(name) && !tag.endsWith('/>')) open.push(name);
+      continue;
+
+    }
+
+    // text
+    const part = text.split(/(\s+)/), wordCount = part.filter(w => /\S/.test(w)).length;
+
+    if (count + wordCount <= words) {
+      out += text;
+      count += wordCount;
+      if (wordCount) mark = { length: out.length, open: [...open] };
+      continue;
+    }
+
+    // truncate text or return to the end of the last text
+    let keep = '', remain = words - count;
+    for (let p = 0; remain > 0 && p < part.length; p++) {
+      keep += part[p];
+      if (/\S/.test(part[p])) remain--;
+    }
+
+    if (keep.trim()) out += keep.trimEnd();
+    else {
+      out = out.slice(0, mark.length).trimEnd();
+      open = mark.open;
+    }
+
+    out += ellipsis;
+    break;
+
+  }
+
+  while (open.length) out += `</${ open.pop() }>`;
+
+  return out;
+
+}
@@ -0,0 +1,143 @@
+// feed functions
+import { escapeXML } from './lib.js';
+
+// feed objects have the properties:
+// { title, description, link, feedLink, updated, items }
+// each item has the properties:
+// { title, link, date, modified, summary, content, categories }
+
+
+// create RSS 2.0 feed XML
+export function feedRSS(feed) {
+
+  const updated = validDate(feed.updated);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '<channel>',
+    `<title>${ escapeXML(feed.title) }</title>`,
+    `<link>${ escapeXML(feed.link) }</link>`,
+    `<description>${ escapeXML(feed.description || feed.title) }</description>`,
+    `<atom:link href="${ escapeXML(feed.feedLink) }" rel="self" type="application/rss+xml"/>`,
+    updated ? `<lastBuildDate>${ updated.toUTCString() }</lastBuildDate>` : '',
+    ...(feed.items || []).map(item => {
+
+      const date = validDate(item.date);
+
+      return '<item>' +
+        `<title>${ escapeXML(item.title) }</title>` +
+        `<link>${ escapeXML(item.link) }</link>` +
+        `<guid isPermaLink="true">${ escapeXML(item.link) }</guid>` +
+        (date ? `<pubDate>${ date.toUTCString() }</pubDate>` : '') +
+        (item.summary ? `<description>${ escapeXML(item.summary) }</description>` : '') +
+        (item.content ? `<content:encoded>${ escapeXML(item.content) }</content:encoded>` : '') +
+        (item.categories || []).map(c => `<category>${ escapeXML(c) }</category>`).join('') +
+        '</item>';
+
+    }),
+    '</channel>',
+    '</rss>'
+  ].filter(l => l).join('\n') + '\n';
+
+}
+
+
+// create Atom 1.0 feed XML
+export function feedAtom(feed) {
+
+  const updated = validDate(feed.updated) || new Date();
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<title>${ escapeXML(feed.title) }</title>`,
+    feed.description ? `<subtitle>${ escapeXML(feed.description) }</subtitle>` : '',
+    `<link href="${ escapeXML(feed.link) }"/>`,
+    `<link href="${ escapeXML(feed.feedLink) }" rel="self" type="application/atom+xml"/>`,
+    `<id>${ escapeXML(feed.link) }</id>`,
+    `<updated>${ updated.toISOString() }</updated>`,
+    ...(feed.items || []).map(item => {
+
+      const
+        published = validDate(item.date),
+        modified = validDate(item.modified) || published || updated;
+
+      return '<entry>' +
+        `<title>${ escapeXML(item.title) }</title>` +
+        `<link href="${ escapeXML(item.link) }"/>` +
+        `<id>${ escapeXML(item.link) }</id>` +
+        (published ? `<published>${ published.toISOString() }</published>` : '') +
+        `<updated>${ modified.toISOString() }</updated>` +
+        (item.summary ? `<summary type="html">${ escapeXML(item.summary) }</summary>` : '') +
+        (item.content ? `<content type="html">${ escapeXML(item.content) }</content>` : '') +
+        (item.categories || []).map(c => `<category term="${ escapeXML(c) }"/>`).join('') +
+        '</entry>';
+
+    }),
+    '</feed>'
+  ].filter(l => l).join('\n') + '\n';
+
+}
+
+
+// create JSON Feed 1.1
+export function feedJSON(feed) {
+
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.link,
+    feed_url: feed.feedLink,
+    description: feed.description || undefined,
+    items: (feed.items || []).map(item => ({
+      id: item.link,
+      url: item.link,
+      title: item.title,
+      content_html: item.content || item.summary || '',
+      summary: item.summary || undefined,
+      date_published: validDate(item.date)?.toISOString(),
+      date_modified: validDate(item.modified)?.toISOString(),
+      tags: item.categories?.length ? item.categories : undefined
+    }))
+  });
+
+}
+
+
+// convert relative href, src, poster, and srcset URLs in HTML to absolute URLs
+export function absoluteURLs(html, base) {
+
+  const abs = url => {
+
+    url = url.trim();
+    if (!url || /^(?:[a-z][a-z\d+.-]*:|\/\/|[$!]\{)/i.test(url)) return url;
+
+    try {
+      return new URL(url, base).href;
+    }
+    catch {
+      return url;
+    }
+
+  };
+
+  return String(html || '').replace(
+    /(\s(?:href|src|poster|srcset)\s*=\s*)(["'])(.*?)\2/gis,
+    (m, attr, q, url) => attr + q + (
+      /srcset/i.test(attr)
+        ? url.split(',').map(s => s.trim().replace(/^\S+/, u => abs(u))).join(', ')
+        : abs(url)
+    ) + q
+  );
+
+}
+
+
+// return a valid Date or null
+function validDate(d) {
+
+  d = d ? new Date(d) : null;
+  return d && !isNaN(d) ? d : null;
+
+}
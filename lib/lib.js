@@ -1,7 +1,7 @@
 // library functions
-import { parse } from 'node:path';
+import { parse, join, relative } from 'node:path';
 import { createHash } from 'node:crypto';
-import { stat } from 'node:fs/promises';
+import { stat, readdir } from 'node:fs/promises';
 
 import markdownit from 'markdown-it';
 import prism from 'markdown-it-prism';
@@ -49,6 +49,50 @@ export function slugify(filename, indexFilename, replaceMap) {
 }
 
 
+// create a slug from a permalink pattern such as /blog/:year/:month/:slug/
+// token is an object of :name values; missing values are removed
+// patterns without a file extension are directories containing indexFilename
+export function permalink(pattern, token, indexFilename) {
+
+  let slug = String(pattern)
+    .replace(/:([a-z_$][\w$]*)/gi, (m, name) => String(token?.[name] ?? ''))
+    .replace(/\/{2,}/g, '/')
+    .replace(/^\/+/, '')
+    .trim();
+
+  if (!parse(slug).ext || slug.endsWith('/')) slug = slug.replace(/\/*$/, '/') + indexFilename;
+  return slug.replace(/^\/+/, '');
+
+}
+
+
+// convert a glob to a regular expression
+// * matches within a directory, ** matches any number of directories, ? matches one character
+// a path without wildcards matches itself and everything in that directory
+export function globRegExp(glob) {
+
+  glob = posixPath(String(glob)).replace(/^\.?\/+/, '');
+
+  if (!/[*?]/.test(glob)) {
+    glob = glob.replace(/\/+$/, '');
+    return new RegExp('^' + escapeRegExp(glob) + '(?:/.*)?$');
+  }
+
+  return new RegExp(
+    '^' +
+    escapeRegExp(glob).replace(/\*\*\/?|\*|\?/g, m => (m === '?' ? '[^/]' : m === '*' ? '[^/]*' : '.*'))
+    + '$'
+  );
+
+}
+
+
+// escape regular expression characters except * and ?
+function escapeRegExp(str) {
+  return str.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+
 // make a string "Proper case" with an initial capital
 export function properCase(str) {
 
@@ -100,29 +144,887 @@ export function extractFmContent(str, fmDelimit = '---') {
 }
 
 
-// parse front matter string into object with key/value pairs
+// split a string into parsed front matter data and content
+// parsers is a Map of delimiter => function(front matter string) returning an object
+// jsonObject parses a leading JSON object without delimiters
+export function extractFrontMatter(str, parsers = new Map([[ '---', parseFrontMatter ]]), jsonObject = false) {
+
+  str = String(str || '').trim();
+
+  // leading JSON object
+  if (jsonObject && str.startsWith('{')) {
+
+    const end = jsonEnd(str);
+    if (end > 0) {
+
+      let data;
+      try {
+        data = JSON.parse( str.slice(0, end) );
+      }
+      catch {
+        // not JSON: treat as content
+      }
+
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return { data, content: str.slice(end).trim() };
+      }
+
+    }
+
+  }
+
+  // delimited front matter
+  for (const [delimit, parse] of parsers) {
+
+    if (!delimit || !str.startsWith(delimit)) continue;
+
+    const f = extractFmContent(str, delimit);
+    if (f.fm || f.content !== str) {
+      return { data: parse(f.fm) || {}, content: f.content };
+    }
+
+  }
+
+  return { data: {}, content: str };
+
+}
+
+
+// find the end position of a JSON object at the start of a string
+function jsonEnd(str) {
+
+  let depth = 0, quote = false;
+
+  for (let i = 0; i < str.length; i++) {
+
+    const c = str[i];
+
+    if (quote) {
+      if (c === '\\') i++;
+      else if (c === '"') quote = false;
+    }
+    else if (c === '"') quote = true;
+    else if (c === '{' || c === '[') depth++;
+    else if (c === '}' || c === ']') {
+      depth--;
+      if (!depth) return i + 1;
+    }
+
+  }
+
+  return -1;
+
+}
+
+
+// parse JSON front matter string into an object
+// the outer { } braces are optional
+export function parseJSON(fm) {
+
+  fm = String(fm || '').trim();
+  return fm ? JSON.parse( fm.startsWith('{') ? fm : `{${ fm }}` ) : {};
+
+}
+
+
+// parse TOML front matter string into an object
+// dates and times are returned as strings
+export function parseTOML(fm) {
+
+  const
+    str = String(fm || ''),
+    root = {};
+
+  let table = root, i = 0;
+
+  // raise parsing error
+  const error = msg => {
+    throw new Error(`TOML ${ msg } on line ${ str.slice(0, i).split('\n').length }`);
+  };
+
+  // skip spaces and tabs
+  const ws = () => {
+    while (str[i] === ' ' || str[i] === '\t') i++;
+  };
+
+  // skip whitespace, new lines, and comments
+  const wsnl = () => {
+
+    for (;;) {
+      ws();
+      if (str[i] === '#') while (i < str.length && str[i] !== '\n') i++;
+      if (str[i] !== '\n' && str[i] !== '\r') break;
+      i++;
+    }
+
+  };
+
+  // expect end of line
+  const eol = () => {
+
+    ws();
+    if (str[i] === '#') while (i < str.length && str[i] !== '\n') i++;
+    if (i < str.length && str[i] !== '\n' && str[i] !== '\r') error('expected end of line');
+
+  };
+
+  // basic, literal, and multi-line strings
+  const string = () => {
+
+    const
+      q = str[i],
+      multi = str.startsWith(q.repeat(3), i),
+      esc = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+
+    i += multi ? 3 : 1;
+    if (multi && str[i] === '\n') i++;
+    else if (multi && str.startsWith('\r\n', i)) i += 2;
+
+    let s = '';
+
+    while (i < str.length) {
+
+      const c = str[i];
+
+      // end of string
+      if (c === q && (!multi || str.startsWith(q.repeat(3), i))) {
+
+        let n = 1;
+        if (multi) {
+          while (str[i + n] === q) n++;
+          s += q.repeat(Math.min(n - 3, 2));
+        }
+
+        i += n;
+        return s;
+
+      }
+
+      if (!multi && c === '\n') error('unterminated string');
+
+      // escape sequence
+      if (q === '"' && c === '\\') {
+
+        const e = str[i + 1];
+
+        // line ending backslash trims whitespace
+        if (multi && /\s/.test(e)) {
+          i++;
+          while (/\s/.test(str[i])) i++;
+          continue;
+        }
+
+        if (e === 'u' || e === 'U') {
+          const len = e === 'u' ? 4 : 8;
+          s += String.fromCodePoint( parseInt(str.slice(i + 2, i + 2 + len), 16) );
+          i += 2 + len;
+          continue;
+        }
+
+        if (!(e in esc)) error(`invalid escape \\${ e }`);
+        s += esc[e];
+        i += 2;
+        continue;
+
+      }
+
+      s += c;
+      i++;
+
+    }
+
+    error('unterminated string');
+
+  };
+
+  // bare, quoted, or dotted key
+  const key = () => {
+
+    const parts = [];
+
+    for (;;) {
+
+      ws();
+
+      if (str[i] === '"' || str[i] === '\'') parts.push( string() );
+      else {
+        const k = str.slice(i).match(/^[\w-]+/);
+        if (!k) error('invalid key');
+        parts.push( k[0] );
+        i += k[0].length;
+      }
+
+      ws();
+      if (str[i] !== '.') break;
+      i++;
+
+    }
+
+    return parts;
+
+  };
+
+  // set a dotted key value
+  const assign = (obj, keys, value) => {
+
+    keys.forEach((k, idx) => {
+
+      if (idx === keys.length - 1) {
+        if (k in obj) error(`duplicate key ${ k }`);
+        obj[k] = value;
+      }
+      else {
+        obj[k] = obj[k] ?? {};
+        obj = obj[k];
+        if (typeof obj !== 'object' || Array.isArray(obj)) error(`invalid key ${ k }`);
+      }
+
+    });
+
+  };
+
+  // any value
+  const value = () => {
+
+    ws();
+    const c = str[i];
+
+    if (c === '"' || c === '\'') return string();
+
+    // array
+    if (c === '[') {
+
+      i++;
+      const arr = [];
+
+      wsnl();
+      while (i < str.length && str[i] !== ']') {
+        arr.push( value() );
+        wsnl();
+        if (str[i] === ',') i++;
+        else if (str[i] !== ']') error('expected , or ]');
+        wsnl();
+      }
+
+      if (str[i] !== ']') error('unterminated array');
+      i++;
+      return arr;
+
+    }
+
+    // inline table
+    if (c === '{') {
+
+      i++;
+      const obj = {};
+
+      ws();
+      while (i < str.length && str[i] !== '}') {
+        const k = key();
+        if (str[i] !== '=') error('expected =');
+        i++;
+        assign(obj, k, value());
+        ws();
+        if (str[i] === ',') i++;
+        else if (str[i] !== '}') error('expected , or }');
+        ws();
+      }
+
+      if (str[i] !== '}') error('unterminated inline table');
+      i++;
+      return obj;
+
+    }
+
+    // boolean, number, or date
+    const bare = str.slice(i).match(/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}[^\s,\]}#]*|^[^\s,\]}#]+/);
+    if (!bare) error('invalid value');
+    i += bare[0].length;
+
+    const v = bare[0], n = v.replaceAll('_', '');
+
+    if (v === 'true') return true;
+    if (v === 'false') return false;
+    if (/^[-+]?inf$/.test(v)) return v.startsWith('-') ? -Infinity : Infinity;
+    if (/^[-+]?nan$/.test(v)) return NaN;
+    if (/^0x[\da-f_]+$/i.test(v)) return parseInt(n.slice(2), 16);
+    if (/^0o[0-7_]+$/i.test(v)) return parseInt(n.slice(2), 8);
+    if (/^0b[01_]+$/i.test(v)) return parseInt(n.slice(2), 2);
+    if (/^[-+]?\d[\d_]*$/.test(v)) return parseInt(n, 10);
+    if (/^[-+]?\d[\d_]*(?:\.\d[\d_]*)?(?:e[-+]?\d[\d_]*)?$/i.test(v)) return parseFloat(n);
+    if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}/.test(v)) return v;
+
+    error(`invalid value ${ v }`);
+
+  };
+
+  // parse key/value pairs and tables
+  for (;;) {
+
+    wsnl();
+    if (i >= str.length) break;
+
+    // [table] or [[array of tables]]
+    if (str[i] === '[') {
+
+      const isArray = str[i + 1] === '[';
+      i += isArray ? 2 : 1;
+
+      const keys = key();
+      if (!str.startsWith(isArray ? ']]' : ']', i)) error('expected ]');
+      i += isArray ? 2 : 1;
+
+      table = root;
+      keys.forEach((k, idx) => {
+
+        if (isArray && idx === keys.length - 1) {
+          table[k] = table[k] ?? [];
+          if (!Array.isArray(table[k])) error(`invalid array of tables ${ k }`);
+          table[k].push({});
+        }
+        else table[k] = table[k] ?? {};
+
+        table = Array.isArray(table[k]) ? table[k].at(-1) : table[k];
+        if (typeof table !== 'object') error(`invalid table ${ k }`);
+
+      });
+
+      eol();
+      continue;
+
+    }
+
+    // key = value
+    const keys = key();
+    if (str[i] !== '=') error('expected =');
+    i++;
+    assign(table, keys, value());
+    eol();
+
+  }
+
+  return root;
+
+}
+
+
+// parse YAML front matter string into an object
+// supports a YAML subset: nested maps, block and flow sequences,
+// | and > block scalars, quoted strings, numbers, booleans, null, and comments
+// an empty value with no nested block is set to true
 export function parseFrontMatter(fm) {
 
-  const fmObj = {};
+  const
+    lines = String(fm || '')
+      .split(/\r?\n/)
+      .map(raw => {
+        const text = raw.trim();
+        return { raw, text, indent: raw.search(/\S/), blank: !text };
+      }),
+    pos = { i: 0 },
+    first = lines.find(l => !l.blank && !l.text.startsWith('#')),
+    fmObj = first ? yamlBlock(lines, pos, first.indent) : {};
+
+  return (fmObj && typeof fmObj === 'object' && !Array.isArray(fmObj)) ? fmObj : {};
+
+}
+
+
+// parse a YAML map or sequence at an indent level
+function yamlBlock(lines, pos, indent) {
 
-  fm.split(/\n/g).forEach(fm => {
+  const line = yamlNext(lines, pos);
+  return line && yamlIsSeq(line.text) ? yamlSeq(lines, pos, indent) : yamlMap(lines, pos, indent);
 
-    const fmParse = fm.split(/(^[a-z0-9-_]+):/i);
+}
+
+
+// parse a YAML map
+function yamlMap(lines, pos, indent) {
+
+  const map = {};
+
+  let line;
+  while ((line = yamlNext(lines, pos)) && line.indent >= indent) {
+
+    // invalid indentation or not a key
+    const kv = line.indent === indent && (yamlKey(line.text) || yamlKeyNoSpace(line.text));
+    pos.i++;
+    if (!kv) continue;
+
+    map[kv.key] = yamlValue(kv.value, lines, pos, indent, true);
+
+  }
+
+  return map;
+
+}
+
+
+// parse a YAML block sequence
+function yamlSeq(lines, pos, indent) {
+
+  const seq = [];
+
+  let line;
+  while ((line = yamlNext(lines, pos)) && line.indent === indent && yamlIsSeq(line.text)) {
+
+    const
+      value = line.text.slice(1).trimStart(),
+      vIndent = indent + line.text.length - value.length;
+
+    if (value && (yamlIsSeq(value) || (!/^["'[{]/.test(value) && yamlKey(value)))) {
+
+      // compact nested sequence or map: re-parse the remainder as a new line
+      lines[pos.i] = { raw: ' '.repeat(vIndent) + value, text: value, indent: vIndent, blank: false };
+      seq.push( yamlBlock(lines, pos, vIndent) );
 
-    if (fmParse.length === 3) {
-      fmObj[ fmParse[1] ] = fmParse[2].trim() || true;
     }
+    else {
 
-  });
+      pos.i++;
+      seq.push( yamlValue(value, lines, pos, indent, false) );
+
+    }
+
+  }
+
+  return seq;
+
+}
+
+
+// parse a YAML value following a key or sequence marker
+function yamlValue(value, lines, pos, indent, inMap) {
 
-  return fmObj;
+  value = yamlComment(value);
+
+  // block scalar
+  const block = value.match(/^([|>])([+-]?)(\d?)([+-]?)$/);
+  if (block) return yamlBlockScalar(lines, pos, indent, block[1], block[2] || block[4], parseInt(block[3], 10));
+
+  // nested block
+  if (!value) {
+
+    const next = yamlNext(lines, pos);
+
+    if (next && (next.indent > indent || (inMap && next.indent === indent && yamlIsSeq(next.text)))) {
+      return yamlBlock(lines, pos, next.indent);
+    }
+
+    return inMap ? true : null;
+
+  }
+
+  // flow collection, possibly over multiple lines
+  if (value.startsWith('[') || value.startsWith('{')) {
+    value = yamlContinue(value, lines, pos, indent, v => yamlFlowComplete(v), ' ');
+    return yamlFlow(value);
+  }
+
+  // quoted string, possibly over multiple lines
+  if (value.startsWith('"') || value.startsWith('\'')) {
+
+    value = yamlContinue(value, lines, pos, indent, v => yamlQuoted(v, 0).end > 0, ' ');
+    const q = yamlQuoted(value, 0);
+
+    // a quoted string followed by other characters is treated as a plain string
+    if (q.end > 0 && !value.slice(q.end).trim()) return q.value;
+
+  }
+  else {
+
+    // plain string: fold more-indented continuation lines
+    value = yamlContinue(value, lines, pos, indent, () => false, ' ');
+
+  }
+
+  return yamlScalar(value);
+
+}
+
+
+// parse a | literal or > folded block scalar
+function yamlBlockScalar(lines, pos, indent, style, chomp, explicit) {
+
+  const body = [];
+  let bIndent = explicit ? indent + explicit : null;
+
+  while (pos.i < lines.length) {
+
+    const line = lines[pos.i];
+
+    if (line.blank) {
+      body.push( bIndent !== null ? line.raw.slice(bIndent) : '' );
+      pos.i++;
+      continue;
+    }
+
+    if (line.indent <= indent) break;
+    bIndent = bIndent ?? line.indent;
+    if (line.indent < bIndent) break;
+
+    body.push(line.raw.slice(bIndent));
+    pos.i++;
+
+  }
+
+  // remove and count trailing empty lines
+  let trail = 0;
+  while (body.length && !body.at(-1).trim()) {
+    body.pop();
+    trail++;
+  }
+
+  let str = '';
+
+  if (style === '|') {
+    str = body.join('\n');
+  }
+  else {
+
+    // fold lines: single line breaks become spaces unless lines are more-indented
+    let empty = 0, last = null;
+
+    body.forEach(l => {
+
+      if (!l.trim()) {
+        if (last === null) str += '\n';
+        else empty++;
+        return;
+      }
+
+      const more = /^\s/.test(l);
+      if (last !== null) str += (more || last) ? '\n'.repeat(empty + 1) : (empty ? '\n'.repeat(empty) : ' ');
+      str += l;
+      last = more;
+      empty = 0;
+
+    });
+
+  }
+
+  // chomping
+  if (str && chomp !== '-') str += '\n';
+  if (chomp === '+') str += '\n'.repeat(trail);
+
+  return str;
+
+}
+
+
+// append more-indented continuation lines until the value is complete
+function yamlContinue(value, lines, pos, indent, isComplete, join) {
+
+  while (!isComplete(value) && pos.i < lines.length) {
+
+    const line = lines[pos.i];
+    if (line.blank || line.indent <= indent) break;
+
+    value += join + yamlComment(line.text);
+    pos.i++;
+
+  }
+
+  return value;
+
+}
+
+
+// is a flow collection complete?
+function yamlFlowComplete(str) {
+
+  let depth = 0, quote = null;
+
+  for (let i = 0; i < str.length; i++) {
+
+    const c = str[i];
+
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    }
+    else if (c === '"' || c === '\'') quote = c;
+    else if (c === '[' || c === '{') depth++;
+    else if (c === ']' || c === '}') depth--;
+
+  }
+
+  return depth <= 0 && !quote;
+
+}
+
+
+// parse a flow sequence or map such as [a, b] or { a: 1 }
+function yamlFlow(str) {
+
+  let i = 0;
+
+  const ws = () => {
+    while (i < str.length && /\s/.test(str[i])) i++;
+  };
+
+  const scalar = (stop) => {
+
+    ws();
+
+    if (str[i] === '"' || str[i] === '\'') {
+      const q = yamlQuoted(str, i);
+      if (q.end > 0) {
+        i = q.end;
+        return q.value;
+      }
+    }
+
+    const start = i;
+    while (i < str.length && !stop.test(str[i])) i++;
+
+    return yamlScalar( str.slice(start, i).trim() );
+
+  };
+
+  const value = () => {
+
+    ws();
+    const c = str[i];
+
+    if (c === '[') {
+
+      i++;
+      const seq = [];
+
+      ws();
+      while (i < str.length && str[i] !== ']') {
+        seq.push( value() );
+        ws();
+        if (str[i] === ',') i++;
+        else break;
+        ws();
+      }
+
+      i++;
+      return seq;
+
+    }
+
+    if (c === '{') {
+
+      i++;
+      const map = {};
+
+      ws();
+      while (i < str.length && str[i] !== '}') {
+        const key = String( scalar(/[:,}]/) );
+        ws();
+        if (str[i] === ':') {
+          i++;
+          map[key] = value();
+        }
+        else map[key] = null;
+        ws();
+        if (str[i] === ',') i++;
+        else break;
+        ws();
+      }
+
+      i++;
+      return map;
+
+    }
+
+    return scalar(/[,\]}]/);
+
+  };
+
+  return value();
+
+}
+
+
+// parse a single or double quoted string from position i
+// returns { value, end } where end is -1 if the string is not terminated
+function yamlQuoted(str, i) {
+
+  const quote = str[i], esc = { n: '\n', t: '\t', r: '\r', 0: '\0', b: '\b', f: '\f', '"': '"', '/': '/', '\\': '\\', ' ': ' ' };
+  let value = '';
+
+  for (let j = i + 1; j < str.length; j++) {
+
+    const c = str[j];
+
+    if (quote === '\'') {
+
+      if (c === '\'') {
+        if (str[j + 1] === '\'') {
+          value += c;
+          j++;
+        }
+        else return { value, end: j + 1 };
+      }
+      else value += c;
+
+    }
+    else if (c === '\\') {
+
+      const e = str[++j];
+      if (e === 'x' || e === 'u' || e === 'U') {
+        const len = { x: 2, u: 4, U: 8 }[e];
+        value += String.fromCodePoint( parseInt(str.slice(j + 1, j + 1 + len), 16) || 0 );
+        j += len;
+      }
+      else value += esc[e] ?? e;
+
+    }
+    else if (c === '"') return { value, end: j + 1 };
+    else value += c;
+
+  }
+
+  return { value, end: -1 };
+
+}
+
+
+// convert a plain scalar to null, boolean, number, or string
+function yamlScalar(str) {
+
+  if (/^(?:~|null|Null|NULL)?$/.test(str)) return null;
+  if (/^(?:true|True|TRUE)$/.test(str)) return true;
+  if (/^(?:false|False|FALSE)$/.test(str)) return false;
+  if (/^[-+]?(?:0|[1-9][0-9_]*)$/.test(str)) return parseInt(str.replaceAll('_', ''), 10);
+  if (/^0x[0-9a-f]+$/i.test(str)) return parseInt(str.slice(2), 16);
+  if (/^0o[0-7]+$/i.test(str)) return parseInt(str.slice(2), 8);
+  if (/^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:e[-+]?\d+)?$/i.test(str)) return parseFloat(str);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(str)) return str.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(str)) return NaN;
+
+  return str;
+
+}
+
+
+// split a "key: value" string
+function yamlKey(str) {
+
+  const kv = str.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#"'[\]{},][^]*?)\s*:(?:\s+([^]*))?$/);
+  if (!kv) return null;
+
+  let key = kv[1];
+  if (key.startsWith('"') || key.startsWith('\'')) key = yamlQuoted(key, 0).value;
+
+  return { key, value: kv[2] || '' };
+
+}
+
+
+// parse a simple key:value line without a space after the colon (accepted by earlier versions)
+function yamlKeyNoSpace(str) {
+
+  const kv = str.match(/^([a-z0-9_-]+):(\S[^]*)$/i);
+  return kv ? { key: kv[1], value: kv[2] } : null;
+
+}
+
+
+// is a line a block sequence entry?
+function yamlIsSeq(str) {
+
+  return str === '-' || str.startsWith('- ');
+
+}
+
+
+// get the next line which is not blank or a comment
+function yamlNext(lines, pos) {
+
+  while (pos.i < lines.length && (lines[pos.i].blank || lines[pos.i].text.startsWith('#'))) pos.i++;
+  return lines[pos.i];
+
+}
+
+
+// remove a trailing # comment outside quotes
+function yamlComment(str) {
+
+  let quote = null;
+
+  for (let i = 0; i < str.length; i++) {
+
+    const c = str[i];
+
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    }
+    else if ((c === '"' || c === '\'') && (!i || /[\s[{,:]/.test(str[i - 1]))) quote = c;
+    else if (c === '#' && (!i || /\s/.test(str[i - 1]))) return str.slice(0, i).trim();
+
+  }
+
+  return str.trim();
+
+}
+
+
+// parse a CSV string into an array of objects using the first row as property names
+// fields can be "quoted" with "" escapes and new lines
+export function parseCSV(str) {
+
+  const rows = [];
+  let row = [], field = '', quote = false;
+
+  str = String(str || '').replace(/^﻿/, '');
+
+  for (let i = 0; i < str.length; i++) {
+
+    const c = str[i];
+
+    if (quote) {
+
+      if (c === '"') {
+        if (str[i + 1] === '"') {
+          field += c;
+          i++;
+        }
+        else quote = false;
+      }
+      else field += c;
+
+    }
+    else if (c === '"' && !field) quote = true;
+    else if (c === ',') {
+      row.push(field);
+      field = '';
+    }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && str[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    }
+    else field += c;
+
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  // remove empty rows
+  const
+    data = rows.filter(r => r.length > 1 || r[0].trim()),
+    head = (data.shift() || []).map(h => h.trim());
+
+  return data.map(r => Object.fromEntries( head.map((h, idx) => [ h, r[idx] ?? '' ]) ));
 
 }
 
 
 // convert markdown to HTML
 let md, mdConfig = null;
-const expressionPlaceholder = '🍺🍻🍷🫖🍷🍻🍺';
+const
+  expressionPlaceholder = '🍺🍻🍷🫖🍷🍻🍺',
+  shortcodePlaceholder = '🧩🔖🧩';
 
 export function mdHTML(str, mdOpts = mdConfig) {
 
@@ -148,12 +1050,15 @@ export function mdHTML(str, mdOpts = mdConfig) {
 
   }
 
-  const preparse = extractExpressions(str);
+  const
+    shortcode = extractShortcodes(str),
+    preparse = extractExpressions(shortcode.md);
 
   // markdown to HTML conversion
   str = encodeExpressions(                                          // encode expression characters
     md.render( preparse.md.join(expressionPlaceholder) )            // render MD to HTML
       .replace(/<p>(<nav-heading.*?<\/nav-heading>)<\/p>/gis, '$1') // remove <nav-heading> paragraphs
+      .replace(new RegExp(`<p>(${ shortcodePlaceholder }\\d+${ shortcodePlaceholder })</p>`, 'g'), '$1') // remove shortcode paragraphs
   );
 
   str = str
@@ -185,11 +1090,91 @@ export function mdHTML(str, mdOpts = mdConfig) {
       return acc + exp;
     }, '');
 
+  // replace shortcodes with tacs.shortcode() expressions: paired bodies are rendered as markdown
+  str = str.replace(new RegExp(`${ shortcodePlaceholder }(\\d+)${ shortcodePlaceholder }`, 'g'), (m, idx) => {
+
+    const { name, attrs, body } = shortcode.sc[idx];
+    return '${ tacs.shortcode(' + [ name, attrs, body === null ? '' : mdHTML(body, mdOpts) ].map(v => JSON.stringify(v)).join(', ') + ', data) }';
+
+  });
+
   return str;
 
 }
 
 
+// extract {% name attr="value" %} and paired {% name %}...{% endname %} shortcodes outside code
+// returns md - markdown with numbered placeholders, sc - array of { name, attrs, body }
+// body is null when a shortcode is not paired
+function extractShortcodes(str) {
+
+  const
+    sc = [],
+    reTag = /(?:^|\n) {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n {0,3}\1[^\n]*(?=\n|$)|$)|(`+)[^`][\s\S]*?\2|\{%\s*([\w-]+)((?:[^%]|%(?!\}))*)%\}/g;
+
+  if (!str.includes('{%')) return { md: str, sc };
+
+  // find the next shortcode tag from position i
+  const next = i => {
+
+    reTag.lastIndex = i;
+    let m;
+    while ((m = reTag.exec(str))) {
+      if (m[3]) return { name: m[3], attr: m[4], start: m.index, end: reTag.lastIndex };
+    }
+    return null;
+
+  };
+
+  let md = '', i = 0, tag;
+  while ((tag = next(i))) {
+
+    md += str.slice(i, tag.start);
+    i = tag.end;
+
+    // unpaired end tag
+    if (tag.name.startsWith('end')) {
+      md += str.slice(tag.start, tag.end);
+      continue;
+    }
+
+    // find matching end tag
+    let depth = 1, t = tag, close = null;
+    while (!close && (t = next(t.end))) {
+      if (t.name === tag.name) depth++;
+      else if (t.name === 'end' + tag.name && !--depth) close = t;
+    }
+
+    const placeholder = shortcodePlaceholder + sc.length + shortcodePlaceholder;
+    sc.push({ name: tag.name, attrs: shortcodeAttrs(tag.attr), body: close ? str.slice(tag.end, close.start) : null });
+
+    if (close) {
+      md += '\n\n' + placeholder + '\n\n';
+      i = close.end;
+    }
+    else md += placeholder;
+
+  }
+
+  return { md: md + str.slice(i), sc };
+
+}
+
+
+// parse shortcode attributes: name="value", name='value', name=value, or name (true)
+export function shortcodeAttrs(str) {
+
+  const attrs = {};
+
+  for (const [, name, dq, sq, uq] of String(str || '').matchAll(/([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?/g)) {
+    attrs[name] = dq ?? sq ?? uq ?? true;
+  }
+
+  return attrs;
+
+}
+
+
 // extract ${} and !{} expressions from a string
 // returns two arrays: md - markdown (length L+1), exp - expressions (length L)
 // order is: md[0] + exp[0] + md[1] + exp[1] +...
@@ -387,6 +1372,29 @@ export function chunk(array, chunkSize = 1) {
 }
 
 
+// group array items by the upper case first letter of a property
+// accents are removed and non-letters are grouped as '#'
+// returns [{ letter, list }] in array order
+export function letterGroup(array, prop = 'name') {
+
+  const group = new Map();
+
+  array.forEach(item => {
+
+    const
+      first = String(item?.[prop] ?? '').normalize('NFD').replace(/\p{M}/gu, '').trim().charAt(0).toUpperCase(),
+      letter = /\p{L}/u.test(first) ? first : '#';
+
+    if (!group.has(letter)) group.set(letter, []);
+    group.get(letter).push(item);
+
+  });
+
+  return [...group].map(([letter, list]) => ({ letter, list }));
+
+}
+
+
 // string token replacer
 // pass string and Map() object with search/replace values (can be strings, regular expressions, etc.)
 export function strReplacer(str, map) {
@@ -399,6 +1407,42 @@ export function strReplacer(str, map) {
 }
 
 
+// escape XML/HTML special characters
+export function escapeXML(str) {
+
+  return String(str ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll('\'', '&apos;');
+
+}
+
+
+// HTML entities
+const htmlEntity = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+
+// convert HTML to plain text
+export function htmlText(html) {
+
+  return String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|nav|template)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (m, dec, hex, name) => {
+      if (!dec && !hex) return htmlEntity[name.toLowerCase()] ?? m;
+      // out of range and surrogate code points become the replacement character
+      const cp = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+      return cp > 0x10ffff || (cp >= 0xd800 && cp <= 0xdfff) ? '\ufffd' : String.fromCodePoint(cp);
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+}
+
+
 // create hash a string
 export function strHash(str) {
 
@@ -433,3 +1477,19 @@ export async function fileInfo(path) {
   return info;
 
 }
+
+
+// get all files in a directory and its sub-directories
+// returns an array of relative posix paths, or [''] when path is a file
+export async function fileList(path) {
+
+  const info = await fileInfo(path);
+
+  if (info.isFile) return [''];
+  if (!info.isDir) return [];
+
+  return (await readdir(path, { recursive: true, withFileTypes: true }))
+    .filter(d => d.isFile())
+    .map(d => posixPath( relative(path, join(d.parentPath || d.path, d.name)) ));
+
+}
@@ -0,0 +1,42 @@
+// HTML link functions
+
+// return an array of href and src URLs in HTML
+export function htmlLinks(html) {
+
+  return attrValues(html, 'href|src');
+
+}
+
+
+// return a Set of element id and anchor name values in HTML
+export function htmlIds(html) {
+
+  return new Set([
+    ...attrValues(html, 'id'),
+    ...attrValues(html, 'name', /^a$/i)
+  ]);
+
+}
+
+
+// return attribute values from HTML start tags
+// elements is an optional regular expression to match element names
+function attrValues(html, attr, elements) {
+
+  const
+    values = [],
+    reAttr = new RegExp(`\\s(?:${ attr })\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'=<>\`]+))`, 'gi');
+
+  for (const [tag, name] of String(html || '').replace(/<!--[\s\S]*?-->/g, '').matchAll(/<([a-z][\w-]*)(?:\s[^>]*)?>/gi)) {
+
+    if (elements && !elements.test(name)) continue;
+
+    for (const m of tag.matchAll(reAttr)) {
+      values.push( (m[1] ?? m[2] ?? m[3]).trim().replace(/&amp;/gi, '&') );
+    }
+
+  }
+
+  return values;
+
+}
@@ -0,0 +1,96 @@
+// worker thread pool
+import { Worker } from 'node:worker_threads';
+
+import { chunk } from './lib.js';
+
+
+// create a pool of worker threads running worker.js
+// returns { size, all(msg), map(type, list, msg), close() }
+export function workerPool(size = 1) {
+
+  const
+    workers = [],
+    pending = new Map();
+
+  let msgId = 0, failed = null;
+
+  for (let w = 0; w < size; w++) {
+
+    const worker = new Worker( new URL('./worker.js', import.meta.url) );
+
+    // message result
+    worker.on('message', ({ id, result, error }) => {
+
+      const p = pending.get(id);
+      if (!p) return;
+
+      pending.delete(id);
+      if (error === undefined) p.resolve(result);
+      else p.reject( new Error(error) );
+
+    });
+
+    // worker failure rejects all pending messages
+    worker.on('error', e => {
+
+      failed = e;
+      pending.forEach(p => p.reject(e));
+      pending.clear();
+
+    });
+
+    workers.push(worker);
+
+  }
+
+  // send a message to a worker and resolve with its result
+  function send(worker, msg) {
+
+    return new Promise((resolve, reject) => {
+
+      if (failed) return reject(failed);
+
+      const id = ++msgId;
+      pending.set(id, { resolve, reject });
+
+      try {
+        worker.postMessage({ id, ...msg });
+      }
+      catch (e) {
+        pending.delete(id);
+        reject(e);
+      }
+
+    });
+
+  }
+
+  return {
+
+    size,
+
+    // send the same message to every worker
+    all(msg) {
+      return Promise.all( workers.map(w => send(w, msg)) );
+    },
+
+    // split a list across workers and resolve with all results in order
+    async map(type, list, msg = {}) {
+
+      if (!list.length) return [];
+
+      return (await Promise.all(
+        chunk(list, Math.ceil(list.length / size))
+          .map((part, idx) => send(workers[idx], { ...msg, type, list: part }))
+      )).flat();
+
+    },
+
+    // terminate all workers
+    close() {
+      return Promise.all( workers.map(w => w.terminate()) );
+    }
+
+  };
+
+}
@@ -0,0 +1,71 @@
+// redirect functions
+import { escapeXML } from './lib.js';
+
+// redirect objects have the properties:
+// { from, to, status }
+
+
+// convert a URL path to a build slug
+export function redirectSlug(path, indexFilename = 'index.html') {
+
+  let slug = String(path || '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/{2,}/g, '/')
+    .replace(/^\/+/, '')
+    .trim();
+
+  if (!slug || slug.endsWith('/') || !/\.[^/.]+$/.test(slug)) slug = slug.replace(/\/*$/, '/') + indexFilename;
+  return slug.replace(/^\/+/, '');
+
+}
+
+
+// create an HTML page which redirects to another URL
+// canonical is the absolute URL when known
+export function redirectHTML(to, canonical = to) {
+
+  to = escapeXML(to);
+  canonical = escapeXML(canonical);
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>Redirecting&hellip;</title>',
+    '<meta name="robots" content="noindex">',
+    `<link rel="canonical" href="${ canonical }">`,
+    `<meta http-equiv="refresh" content="0; url=${ to }">`,
+    '</head>',
+    '<body>',
+    `<p>Redirecting to <a href="${ to }">${ to }</a></p>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+
+}
+
+
+// create a Netlify or Cloudflare _redirects file
+export function redirectNetlify(list) {
+
+  return list.map(r => `${ r.from } ${ r.to } ${ r.status || 301 }`).join('\n') + '\n';
+
+}
+
+
+// create an nginx map of old => new URLs
+// use in a server block: if ($redirect_uri) { return 301 $redirect_uri; }
+export function redirectNginx(list, variable = 'redirect_uri') {
+
+  const quote = str => '"' + String(str).replace(/["\\]/g, '\\$&') + '"';
+
+  return [
+    `map $uri $${ variable } {`,
+    ...list.map(r => `  ${ quote(r.from) } ${ quote(r.to) };`),
+    '}',
+    ''
+  ].join('\n');
+
+}
@@ -0,0 +1,82 @@
+// related content functions
+
+// compute related pages for every page in a list
+// pages have { tags: [{ ref }], groups: Set, directory, date } properties
+// opt: { size, weight: { tag, group, directory, date }, dateRange (days), tagCount: Map of tag ref => page count }
+// only pages sharing a tag or group are related: directory and date proximity add to their score
+// returns a Map of page => [ related pages ] ranked by score
+export function relatedPages(pages, opt = {}) {
+
+  const
+    size = opt.size ?? 5,
+    weight = opt.weight || {},
+    dateRange = (opt.dateRange || 0) * 86400000,
+    related = new Map(),
+    byTag = new Map(),
+    byGroup = new Map();
+
+  // index pages by tag and group
+  pages.forEach(data => {
+
+    pageTags(data).forEach(ref => addTo(byTag, ref, data));
+    (data.groups || []).forEach(group => addTo(byGroup, group, data));
+
+  });
+
+  // rarer tags score higher
+  const tagScore = new Map();
+  byTag.forEach((list, ref) => tagScore.set(ref, (weight.tag || 0) * Math.log(1 + pages.length / (opt.tagCount?.get(ref) || list.length))));
+
+  pages.forEach(data => {
+
+    const score = new Map();
+
+    // add score to pages sharing a tag or group
+    const add = (list, s) => {
+      list.forEach(p => { if (p !== data) score.set(p, (score.get(p) || 0) + (s || 0)); });
+    };
+
+    pageTags(data).forEach(ref => add(byTag.get(ref), tagScore.get(ref)));
+    (data.groups || []).forEach(group => add(byGroup.get(group), weight.group));
+
+    // same directory
+    if (weight.directory && data.directory !== undefined) score.forEach((s, p) => {
+      if (p.directory === data.directory) score.set(p, s + weight.directory);
+    });
+
+    // date proximity
+    const date = data.date?.getTime?.();
+    if (weight.date && dateRange && date) score.forEach((s, p) => {
+
+      const diff = Math.abs(date - (p.date?.getTime?.() ?? Infinity));
+      if (diff < dateRange) score.set(p, s + weight.date * (1 - diff / dateRange));
+
+    });
+
+    related.set(
+      data,
+      [...score]
+        .filter(([, s]) => s > 0)
+        .sort(([pa, sa], [pb, sb]) => (sb - sa) || ((pb.date || 0) - (pa.date || 0)))
+        .slice(0, size)
+        .map(([p]) => p)
+    );
+
+  });
+
+  return related;
+
+}
+
+
+// unique tag references
+function pageTags(data) {
+  return new Set( (data.tags || []).map(t => t.ref) );
+}
+
+
+// append an item to a Map of arrays
+function addTo(map, key, item) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(item);
+}
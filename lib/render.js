@@ -0,0 +1,249 @@
+// page rendering functions used by the main thread and worker threads
+import { templateParse, templateMap } from 'jstacs';
+import { navHeading, minifySimple, minifyFull, strReplacer, escapeXML, htmlText } from './lib.js';
+import { htmlExcerpt } from './excerpt.js';
+import { htmlWordCount } from './wordcount.js';
+
+
+// render a page's content and template
+// sets data.contentRendered, data.excerpt, data.excerptText, data.wordCount, and data.readingTime
+// and returns the page output
+// opt: { headingAnchor, replace, jsBackTick, excerpt, wordCount }
+export function renderPage(data, useTemplate, opt) {
+
+  const navHeadingTag = '</' + (opt?.headingAnchor?.tag || 'nav-heading') + '>';
+
+  // render content only
+  let
+    content = templateParse(data.content, data),
+    contentNav = '';
+
+  // content anchors
+  if (opt.headingAnchor && data.isHTML) {
+    const nav = navHeading(content, opt.headingAnchor);
+    content = nav.content;
+    contentNav = nav.navHeading;
+  }
+
+  // add !{ strings back
+  if (useTemplate) {
+
+    content = content.replace(/\$\{/g, '!{');
+
+    // rendered content (for feeds) with custom replacements
+    data.contentRendered = strReplacer( content, opt?.replace );
+
+  }
+  else {
+
+    // custom replacements
+    content = strReplacer( content, opt?.replace );
+
+    // store rendered content (for feeds)
+    data.contentRendered = content;
+
+  }
+
+  // excerpt, word count, and reading time of rendered content (available to the template)
+  if ((opt?.excerpt || opt?.wordCount) && data.isHTML) {
+
+    const linkClass = opt.headingAnchor?.linkClass?.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    // remove navigation heading tags and heading links
+    let html = data.contentRendered.replace(new RegExp(`<\\/?${ opt.headingAnchor?.tag || 'nav-heading' }>`, 'g'), '');
+    if (linkClass) html = html.replace(new RegExp(`\\s*<a\\b[^>]*\\sclass=["']?${ linkClass }["'\\s>][^>]*>[\\s\\S]*?<\\/a>`, 'gi'), '');
+
+    // excerpt from content before the marker, an escaped summary, or the first paragraphs
+    if (opt.excerpt) {
+
+      // an excerpt error must not stop the build
+      try {
+
+        const
+          marker = opt.excerpt.marker,
+          hasMarker = marker && (typeof marker === 'string' ? html.includes(marker) : html.search(marker) >= 0);
+
+        data.excerpt = hasMarker || !data.summary ? htmlExcerpt(html, opt.excerpt) : `<p>${ escapeXML(data.summary) }</p>`;
+        data.excerptText = htmlText(data.excerpt);
+
+      }
+      catch {
+        data.excerpt = '';
+        data.excerptText = '';
+      }
+
+    }
+
+    // word count (zero on error)
+    if (opt.wordCount) {
+      try {
+        Object.assign(data, htmlWordCount(html, opt.wordCount, data.lang));
+      }
+      catch {
+        Object.assign(data, { wordCount: 0, readingTime: 0 });
+      }
+    }
+
+  }
+
+  // render in template
+  if (useTemplate) {
+
+    const contentOrig = data.content;
+    data.content = content;
+
+    content = strReplacer(
+      templateParse( templateMap.get(useTemplate), data ),
+      opt?.replace
+    );
+
+    data.content = contentOrig;
+
+  }
+
+  // replace navigation heading
+  if (contentNav) {
+    content = content.replaceAll(navHeadingTag, contentNav + navHeadingTag);
+    data.contentRendered = data.contentRendered.replaceAll(navHeadingTag, contentNav + navHeadingTag);
+  }
+
+  // replace backticks in JS
+  if (data.isJS) {
+    content = content.replaceAll(opt.jsBackTick, '`');
+    data.contentRendered = data.contentRendered.replaceAll(opt.jsBackTick, '`');
+  }
+
+  return content;
+
+}
+
+
+// properties set when a page renders
+export function renderedData(data) {
+
+  return {
+    contentRendered: data.contentRendered,
+    excerpt: data.excerpt,
+    excerptText: data.excerptText,
+    wordCount: data.wordCount,
+    readingTime: data.readingTime
+  };
+
+}
+
+
+// minify page output
+export function minifyPage(content, data, minify) {
+
+  if (data.isXML) content = minifySimple(content);
+  if (data.isHTML && minify?.enabled) content = minifyFull(content, minify);
+  return content;
+
+}
+
+
+// render a shortcode from a Map of name => function(attrs, body, data) or template name
+// paired shortcode bodies can contain expressions
+// templates receive data.shortcode = { name, attrs, body }
+export function renderShortcode(shortcode, name, attrs = {}, body = '', data = {}) {
+
+  const sc = shortcode?.get(name);
+  if (body) body = templateParse(body, data);
+
+  if (typeof sc === 'function') return String(sc(attrs, body, data) ?? '');
+  if (typeof sc === 'string') return templateParse(templateMap.get(sc) ?? '', { ...data, shortcode: { name, attrs, body } });
+  return body;
+
+}
+
+
+// page dependency tracking
+const
+  trackCollection = ['all', 'dir', 'tag', 'group', 'tagList', 'taxonomy', 'archive', 'nav', 'locale'],
+  trackLink = ['postback', 'postnext', 'pagination', 'translations', 'related'],
+  trackRendered = ['content', 'contentRendered', 'excerpt', 'excerptText', 'wordCount', 'readingTime'],
+  tracked = Symbol('tracked');
+
+let track = null;
+
+
+// record tacs collections and templates read while a page renders
+export function trackSetup(tacs, templateMap) {
+
+  trackProps(tacs, trackCollection, () => { if (track) track.deps.collection = true; });
+
+  if (templateMap[tracked]) return;
+
+  const get = templateMap.get;
+  templateMap.get = function(name) {
+    track?.deps.templates.add(name);
+    return get.call(this, name);
+  };
+  templateMap[tracked] = true;
+
+}
+
+
+// record reads of page properties which depend on other pages
+export function trackPage(data) {
+
+  trackProps(data, trackLink, () => { if (track) track.deps.collection = true; });
+  trackProps(data, trackRendered, obj => { if (track && track.data !== obj) track.deps.rendered = true; });
+
+}
+
+
+// start recording the dependencies of a page
+// deps are existing { templates: Set, collection: Boolean, rendered: Boolean } objects to include
+export function trackStart(data, ...deps) {
+
+  track = { data, deps: { templates: new Set(), collection: false, rendered: false } };
+
+  deps.forEach(d => {
+    if (!d) return;
+    d.templates.forEach(t => track.deps.templates.add(t));
+    track.deps.collection ||= d.collection;
+    track.deps.rendered ||= d.rendered;
+  });
+
+  return track.deps;
+
+}
+
+
+// stop recording and return the page dependencies
+export function trackEnd() {
+
+  const deps = track?.deps;
+  track = null;
+  return deps;
+
+}
+
+
+// replace object properties with accessors which call onRead(obj)
+function trackProps(obj, keys, onRead) {
+
+  if (!obj[tracked]) Object.defineProperty(obj, tracked, { value: {} });
+  const store = obj[tracked];
+
+  keys.forEach(key => {
+
+    if (Object.getOwnPropertyDescriptor(obj, key)?.get) return;
+
+    store[key] = obj[key];
+    Object.defineProperty(obj, key, {
+      enumerable: true,
+      configurable: true,
+      get() {
+        onRead(this);
+        return store[key];
+      },
+      set(value) {
+        store[key] = value;
+      }
+    });
+
+  });
+
+}
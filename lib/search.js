@@ -0,0 +1,100 @@
+// search index functions
+import { htmlText } from './lib.js';
+
+// default English stop words
+export const stopWords = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'each', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own',
+  'same', 'she', 'should', 'so', 'some', 'such',
+  'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would',
+  'you', 'your', 'yours'
+]);
+
+// split HTML into sections at headings with an id attribute
+// returns an array of { id, heading, html } where the first section has no heading
+export function htmlSections(html, levels = [2, 3]) {
+
+  html = String(html || '');
+
+  const
+    sections = [{ id: '', heading: '', html: '' }],
+    reHeading = new RegExp(`<h(${ levels.join('|') })\\b[^>]*?\\sid\\s*=\\s*["']?([^"'\\s>]+)[^>]*>([\\s\\S]*?)<\\/h\\1>`, 'gi');
+
+  let last = 0;
+
+  for (const m of html.matchAll(reHeading)) {
+
+    sections.at(-1).html += html.slice(last, m.index);
+    sections.push({ id: m[2], heading: htmlText(m[3]), html: '' });
+    last = m.index + m[0].length;
+
+  }
+
+  sections.at(-1).html += html.slice(last);
+
+  return sections;
+
+}
+
+
+// split text into lower case words
+// ignoring stop words and words shorter than minLength
+export function searchWords(str, stop = stopWords, minLength = 2) {
+
+  return (String(str || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(w => w.length >= minLength && !stop?.has(w));
+
+}
+
+
+// create a search index
+// docs is an array of { link, title, section, description, fields: { name: text } }
+// opts: { weights: { name: number }, stopWords: Set, minLength: number }
+// returns { docs: [{ link, title, section, description }], index: { word: [[ doc, score ], ...] } }
+// index scores are sorted highest first
+export function searchIndex(docs, opts = {}) {
+
+  const
+    weights = opts.weights || {},
+    stop = opts.stopWords || stopWords,
+    minLength = opts.minLength ?? 2,
+    index = new Map();
+
+  docs.forEach((doc, id) => {
+
+    const score = new Map();
+
+    Object.entries(doc.fields || {}).forEach(([name, text]) => {
+
+      const weight = parseFloat(weights[name]) || 0;
+      if (weight) searchWords(text, stop, minLength).forEach(w => score.set(w, (score.get(w) || 0) + weight));
+
+    });
+
+    score.forEach((s, w) => {
+      if (!index.has(w)) index.set(w, []);
+      index.get(w).push([ id, Math.round(s * 100) / 100 ]);
+    });
+
+  });
+
+  return {
+    docs: docs.map(({ link, title, section, description }) => ({
+      link,
+      title: title || '',
+      ...(section ? { section } : {}),
+      ...(description ? { description } : {})
+    })),
+    index: Object.fromEntries(
+      [...index]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([w, list]) => [ w, list.sort((a, b) => b[1] - a[1]) ])
+    )
+  };
+
+}
@@ -0,0 +1,192 @@
+// development web server with live reload
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { join, extname, resolve, sep } from 'node:path';
+
+import { fileInfo } from './lib.js';
+
+// live reload Server-Sent Events path
+export const reloadPath = '/__publican/reload';
+
+// MIME types
+const mimeType = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm':  'text/html; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.mjs':  'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml':  'application/xml; charset=utf-8',
+  '.txt':  'text/plain; charset=utf-8',
+  '.md':   'text/markdown; charset=utf-8',
+  '.svg':  'image/svg+xml',
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif':  'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico':  'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf':  'font/ttf',
+  '.otf':  'font/otf',
+  '.mp4':  'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3':  'audio/mpeg',
+  '.pdf':  'application/pdf',
+  '.wasm': 'application/wasm'
+};
+
+// client script: reload page or refresh stylesheets
+const reloadScript = `<script>
+new EventSource('${ reloadPath }').onmessage = e => {
+  if (e.data === 'css') {
+    document.querySelectorAll('link[rel="stylesheet"][href]').forEach(l => {
+      const u = new URL(l.href);
+      u.searchParams.set('publican', Date.now());
+      l.href = u.href;
+    });
+  }
+  else location.reload();
+};
+</script>`;
+
+
+// create a static file server for a build directory
+// opts: { dir, root, indexFilename, notFound, reload }
+// returns { server, listen(port, hostname), reload(type), close() }
+export function devServer(opts = {}) {
+
+  const
+    dir = resolve(opts.dir || './build/'),
+    root = opts.root || '/',
+    indexFilename = opts.indexFilename || 'index.html',
+    clients = new Set();
+
+  const server = createServer(async (req, res) => {
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent( new URL(req.url, 'http://localhost').pathname );
+    }
+    catch {
+      return send(res, 400, 'Bad request');
+    }
+
+    // live reload events
+    if (opts.reload && pathname === reloadPath) {
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      res.write(': connected\n\n');
+
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+
+    }
+
+    // file path within build directory
+    let file = pathname.startsWith(root) && resolve(dir, '.' + sep + pathname.slice(root.length));
+    if (file && file !== dir && !file.startsWith(dir + sep)) file = null;
+
+    let info = file ? await fileInfo(file) : {};
+
+    // directory index
+    if (info.isDir) {
+
+      if (!pathname.endsWith('/')) {
+        const url = new URL(req.url, 'http://localhost');
+        res.writeHead(301, { Location: url.pathname + '/' + url.search });
+        return res.end();
+      }
+
+      file = join(file, indexFilename);
+      info = await fileInfo(file);
+
+    }
+
+    if (info.isFile) return sendFile(res, 200, file);
+
+    // not found page
+    const notFound = opts.notFound && join(dir, opts.notFound);
+    if (notFound && (await fileInfo(notFound)).isFile) return sendFile(res, 404, notFound);
+
+    send(res, 404, 'Not found');
+
+  });
+
+  // send file, injecting the reload script into HTML
+  async function sendFile(res, status, file) {
+
+    const type = mimeType[ extname(file).toLowerCase() ] || 'application/octet-stream';
+    let body;
+
+    try {
+      body = await readFile(file);
+    }
+    catch {
+      return send(res, 404, 'Not found');
+    }
+
+    if (opts.reload && type.startsWith('text/html')) {
+      body = String(body);
+      body = /<\/body>/i.test(body) ? body.replace(/<\/body>(?![\s\S]*<\/body>)/i, reloadScript + '</body>') : body + reloadScript;
+    }
+
+    send(res, status, body, type);
+
+  }
+
+  return {
+
+    server,
+
+    // start server: resolves with the server URL
+    listen(port = 8000, hostname = 'localhost') {
+
+      return new Promise((resolveListen, reject) => {
+
+        server.once('error', reject);
+        server.listen(port, hostname, () => {
+          server.off('error', reject);
+          resolveListen(`http://${ hostname }:${ server.address().port }${ root }`);
+        });
+
+      });
+
+    },
+
+    // notify clients: type is 'css' or 'reload'
+    reload(type = 'reload') {
+      clients.forEach(res => res.write(`data: ${ type }\n\n`));
+    },
+
+    // stop server
+    close() {
+
+      clients.forEach(res => res.end());
+      clients.clear();
+      return new Promise(resolveClose => server.close(resolveClose));
+
+    }
+
+  };
+
+}
+
+
+// send a response
+function send(res, status, body, type = 'text/plain; charset=utf-8') {
+
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+
+}
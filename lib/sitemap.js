@@ -0,0 +1,64 @@
+// sitemap functions
+import { escapeXML } from './lib.js';
+
+const changeFreq = new Set(['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never']);
+
+
+// create sitemap XML from an array of { loc, lastmod, changefreq, priority } objects
+export function sitemapXML(urls) {
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(u => {
+
+      const
+        lastmod = w3cDate(u.lastmod),
+        freq = String(u.changefreq || '').toLowerCase(),
+        priority = parseFloat(u.priority);
+
+      return '<url>' +
+        `<loc>${ escapeXML(u.loc) }</loc>` +
+        (lastmod ? `<lastmod>${ lastmod }</lastmod>` : '') +
+        (changeFreq.has(freq) ? `<changefreq>${ freq }</changefreq>` : '') +
+        (isNaN(priority) ? '' : `<priority>${ Math.min(1, Math.max(0, priority)).toFixed(1) }</priority>`) +
+        '</url>';
+
+    }),
+    '</urlset>',
+    ''
+  ].join('\n');
+
+}
+
+
+// create sitemap index XML from an array of { loc, lastmod } objects
+export function sitemapIndexXML(sitemaps) {
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map(s => {
+
+      const lastmod = w3cDate(s.lastmod);
+
+      return '<sitemap>' +
+        `<loc>${ escapeXML(s.loc) }</loc>` +
+        (lastmod ? `<lastmod>${ lastmod }</lastmod>` : '') +
+        '</sitemap>';
+
+    }),
+    '</sitemapindex>',
+    ''
+  ].join('\n');
+
+}
+
+
+// format a date as a W3C datetime string
+function w3cDate(date) {
+
+  const d = date ? new Date(date) : null;
+  return d && !isNaN(d) ? d.toISOString().replace(/\.\d+Z$/, 'Z') : '';
+
+}
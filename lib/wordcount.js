@@ -0,0 +1,83 @@
+// word count and reading time functions
+import { htmlText } from './lib.js';
+
+// Chinese and Japanese characters counted individually
+// Korean separates words with spaces so Hangul words are counted
+const
+  cjkChar = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+  segmenter = new Map();
+
+
+// count words and CJK characters in plain text
+// uses a locale-aware Intl.Segmenter when available
+// returns { words, cjk }
+export function textCount(text, locale) {
+
+  text = String(text || '');
+
+  const
+    count = { words: 0, cjk: 0 },
+    seg = wordSegmenter(locale),
+    addWord = word => {
+      const cjk = word.match(cjkChar)?.length || 0;
+      count.cjk += cjk;
+      if (word.length > cjk && /[\p{L}\p{N}]/u.test(word.replace(cjkChar, ''))) count.words++;
+    };
+
+  if (seg) {
+    for (const { segment, isWordLike } of seg.segment(text)) {
+      if (isWordLike) addWord(segment);
+    }
+  }
+  else {
+    (text.match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu) || []).forEach(addWord);
+  }
+
+  return count;
+
+}
+
+
+// word count and reading time of HTML content
+// opt: { code, wordsPerMinute, cjkPerMinute }
+// returns { wordCount, readingTime } where readingTime is in whole minutes
+export function htmlWordCount(html, opt = {}, locale) {
+
+  html = String(html || '');
+
+  // remove code blocks
+  if (!opt.code) html = html.replace(/<(pre|code)\b[\s\S]*?<\/\1>/gi, ' ');
+
+  const
+    count = textCount(htmlText(html), locale),
+    minutes = (opt.wordsPerMinute ? count.words / opt.wordsPerMinute : 0) + (opt.cjkPerMinute ? count.cjk / opt.cjkPerMinute : 0);
+
+  return {
+    wordCount: count.words + count.cjk,
+    readingTime: Math.ceil(minutes)
+  };
+
+}
+
+
+// cached word segmenter for a locale
+function wordSegmenter(locale = '') {
+
+  if (!Intl.Segmenter) return null;
+
+  if (!segmenter.has(locale)) {
+
+    let seg;
+    try {
+      seg = new Intl.Segmenter(locale || undefined, { granularity: 'word' });
+    }
+    catch {
+      seg = new Intl.Segmenter(undefined, { granularity: 'word' });
+    }
+    segmenter.set(locale, seg);
+
+  }
+
+  return segmenter.get(locale);
+
+}
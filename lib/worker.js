@@ -0,0 +1,89 @@
+// worker thread: markdown conversion and page rendering
+import { parentPort } from 'node:worker_threads';
+import { deserialize } from 'node:v8';
+import { tacs, tacsConfig, templateMap } from 'jstacs';
+
+import { mdHTML } from './lib.js';
+import { renderPage, renderedData, minifyPage, renderShortcode, trackSetup, trackPage, trackStart, trackEnd } from './render.js';
+import { assetURL } from './asset.js';
+
+let opt = {}, assets = new Map(), mainThread = false;
+
+// message actions
+const action = {
+
+  // convert markdown strings to HTML
+  markdown: ({ list, markdownOptions }) => list.map(str => mdHTML(str, markdownOptions)),
+
+  // set TACS global content, templates, shortcode templates, and render options
+  // msg.shared is a SharedArrayBuffer of serialized { tacs, templates, shortcode, assets }
+  setup: msg => {
+
+    opt = msg.opt;
+
+    const setup = deserialize( Buffer.from(msg.shared) );
+
+    Object.keys(tacs).forEach(k => delete tacs[k]);
+    Object.assign(tacs, setup.tacs);
+
+    // record page dependencies
+    trackSetup(tacs, templateMap);
+    tacs.all?.forEach(trackPage);
+
+    assets = new Map(setup.assets);
+    tacs.asset = url => assetURL(url, assets, opt.root);
+
+    // shortcode functions are null: pages using them render in the main thread
+    const shortcode = new Map( setup.shortcode.map(([name, sc]) => [ name, sc ?? (() => { mainThread = true; return ''; }) ]) );
+    tacs.shortcode = (...args) => renderShortcode(shortcode, ...args);
+
+    templateMap.clear();
+    setup.templates.forEach(([name, str]) => templateMap.set(name, str));
+
+    tacsConfig.dir.template = msg.templateDir;
+
+  },
+
+  // update rendered content and assets of pages rendered in other threads
+  update: msg => {
+
+    assets = new Map(msg.assets);
+
+    msg.rendered.forEach(([slug, rendered]) => {
+      const data = tacs.all.get(slug);
+      if (data) Object.assign(data, rendered);
+    });
+
+  },
+
+  // render pages: list is an array of [ slug, template ]
+  render: ({ list }) => list.map(([slug, useTemplate]) => {
+
+    const data = tacs.all.get(slug);
+
+    mainThread = false;
+    trackStart(data);
+    let content = renderPage(data, useTemplate, opt);
+    const deps = trackEnd();
+
+    if (mainThread) return { mainThread };
+
+    if (opt.minifyPage) content = minifyPage(content, data, opt.minify);
+
+    return { content, deps, rendered: renderedData(data) };
+
+  })
+
+};
+
+// handle messages from the main thread
+parentPort.on('message', ({ id, type, ...msg }) => {
+
+  try {
+    parentPort.postMessage({ id, result: action[type](msg) });
+  }
+  catch (e) {
+    parentPort.postMessage({ id, error: e.stack || String(e) });
+  }
+
+});
@@ -3,15 +3,28 @@ Publican HTML-first Static Site Generator
 https://www.npmjs.com/package/publican
 By Craig Buckler
 */
-import { readdir, mkdir, rm, readFile, writeFile, cp } from 'node:fs/promises';
-import { join, dirname, basename, extname } from 'node:path';
+import { readdir, mkdir, rm, rmdir, readFile, writeFile, cp } from 'node:fs/promises';
+import { join, dirname, basename, extname, parse, resolve, relative, posix } from 'node:path';
 import { watch } from 'node:fs';
+import { availableParallelism } from 'node:os';
+import { serialize, deserialize } from 'node:v8';
+import { pathToFileURL } from 'node:url';
 
-import { tacsConfig, tacs, templateMap, templateParse } from 'jstacs';
+import { tacsConfig, tacs, templateMap } from 'jstacs';
 import { PerfPro } from 'perfpro';
 import { ConCol } from 'concol';
 
-import { posixPath, slugify, properCase, normalize, extractFmContent, parseFrontMatter, mdHTML, navHeading, minifySimple, minifyFull, chunk, strReplacer, strHash, fileInfo } from './lib/lib.js';
+import { posixPath, slugify, permalink, globRegExp, properCase, normalize, extractFrontMatter, parseFrontMatter, parseTOML, parseJSON, parseCSV, mdHTML, chunk, letterGroup, htmlText, strHash, fileInfo, fileList } from './lib/lib.js';
+import { sitemapXML, sitemapIndexXML } from './lib/sitemap.js';
+import { feedRSS, feedAtom, feedJSON, absoluteURLs } from './lib/feed.js';
+import { devServer } from './lib/server.js';
+import { renderPage, renderedData, minifyPage, renderShortcode, trackSetup, trackPage, trackStart, trackEnd } from './lib/render.js';
+import { workerPool } from './lib/pool.js';
+import { hashName, cssURLs, assetURL } from './lib/asset.js';
+import { htmlLinks, htmlIds } from './lib/links.js';
+import { htmlSections, searchIndex, stopWords } from './lib/search.js';
+import { relatedPages } from './lib/related.js';
+import { redirectSlug, redirectHTML, redirectNetlify, redirectNginx } from './lib/redirect.js';
 import pkg from './package.json' with { type: 'json' };
 
 // performance handler
@@ -32,9 +45,22 @@ export class Publican {
   #status = {};
   #contentMap = new Map();
   #writeHash = new Map();
+  #built = new Set();
+  #changed = { content: new Set(), template: new Set(), meta: false, body: false };
+  #contentMeta = new Map();
+  #renderDeps = new Map();
+  #cache = { hash: null, markdown: new Map(), frontmatter: new Map(), used: new Set() };
+  #passThroughFiles = new Set();
+  #assets = new Map();
+  #assetsOld = new Set();
+  #links = new Map();
+  #pagesFromFiles = new Map();
   #now = new Date();
+  #watchers = [];
   #watchDebounce = null;
-  #reRendering = false;
+  #reRendering = null;
+  #server = null;
+  #pool = null;
 
   static #jsBackTick = '\u02cb\u02cb';
   static #logLine = '─'.repeat(43);
@@ -48,7 +74,8 @@ export class Publican {
       dir: {
         content:  './src/content/',
         template: './src/template/',
-        build:    './build/'
+        build:    './build/',
+        data:     null // global data files (optional)
       },
 
       // index filename
@@ -57,15 +84,30 @@ export class Publican {
       // root
       root: '/',
 
+      // site URL used for absolute links, e.g. https://example.com
+      siteURL: '',
+
       // ignore content filename regex (ignores files starting _)
       ignoreContentFile: /^_.*$/,
 
       // slug replacements
       slugReplace: new Map(),
 
+      // permalink patterns: Map of content directory or glob => pattern, e.g. 'blog/' => '/blog/:year/:month/:slug/'
+      // tokens: :year :month :day :title :slug :filename :directory :lang and any front matter field
+      // a front matter slug or permalink value takes precedence
+      permalink: new Map(),
+
       // front matter marker
       frontmatterDelimit: '---',
 
+      // other front matter formats: Map of delimiter => function(front matter string) returning an object
+      // a JSON object at the start of markdown and HTML content is also parsed
+      frontmatterParser: new Map([
+        ['+++', parseTOML],
+        [';;;', parseJSON]
+      ]),
+
       // default indexing frequency
       indexFrequency: 'monthly',
 
@@ -115,15 +157,95 @@ export class Publican {
         sortOrder: -1,
         template: 'default.html',
         menu: false,
-        index: 'monthly'
+        index: 'monthly',
+        indexPage: {           // index page listing all tags at the root
+          enabled: false,
+          title: '',           // page title (root directory name when not set)
+          size: 0,             // tags per page (0 for all)
+          sortBy: 'name',      // 'name' (alphabetical) or 'count' (frequency)
+          minCount: 1,         // minimum number of pages for a tag to be listed
+          letterGroup: false,  // group tags by first letter in data.letterGroup
+          pageDir: 'page',     // sub-directory of later pages, e.g. tag/page/1/ (one page when a term uses that slug)
+          template: ''         // template (tag page template when not set)
+        }
       },
 
+      // taxonomy page options: front matter field name => options as tagPages
+      // e.g. { categories: { root: 'category', size: 24 } }
+      // root defaults to the field name (tags pages are in the site root when tagPages.root is not set)
+      // tagPages options apply to the tags taxonomy
+      taxonomy: {},
+
       // group page options
       groupPages: false,
 
+      // date archive page options, e.g.
+      // { root: '', size: 24, sortBy: 'date', sortOrder: -1, template: 'default.html', month: true, day: false, menu: false, index: false }
+      archivePages: false,
+
       // navigation object enabled
       nav: true,
 
+      // multilingual site options
+      // without prefixDefault, a content directory named after the default locale is the site root
+      i18n: {
+        locales: [],          // locale codes, e.g. ['en', 'fr'] (none disables)
+        default: '',          // default locale (first locale when not set)
+        prefixDefault: false  // default locale content in a /<locale>/ directory rather than the root
+      },
+
+      // related content in data.related: pages sharing a tag or group
+      // ranked with additional scores for the same directory and date proximity
+      related: {
+        enabled: false,
+        size: 5,              // maximum related pages
+        weight: { tag: 3, group: 2, directory: 1, date: 1 }, // scores for shared tags, groups, directory, and date proximity
+        dateRange: 365,       // date proximity range in days
+        optOut: 'norelated'   // front matter flag to exclude a page
+      },
+
+      // sitemap options
+      sitemap: {
+        enabled: false,
+        filename: 'sitemap.xml',
+        size: 50000 // maximum URLs per sitemap file
+      },
+
+      // RSS, Atom, and JSON feed options
+      feeds: {
+        enabled: false,
+        format: { rss: 'feed.xml', atom: 'atom.xml', json: 'feed.json' }, // set a filename to false to disable
+        size: 20,             // maximum items per feed
+        content: 'summary',   // 'summary', 'excerpt', or 'full'
+        absoluteURLs: true,   // convert relative URLs in full content
+        site: true,           // whole site feed in the root
+        dir: true,            // directory feeds: true (all), false, or array of directory names
+        tag: false,           // tag feeds: true (all), false, or array of tag refs
+        group: false,         // group feeds: true (all), false, or array of group names
+        title: '',            // whole site feed title (root page title when not set)
+        description: ''       // whole site feed description
+      },
+
+      // client-side search index options
+      search: {
+        enabled: false,
+        filename: 'search.json',  // index file in the root (or each locale root)
+        fields: { title: 10, heading: 5, description: 5, tags: 3, content: 1 }, // field weights (0 to ignore)
+        stopWords: new Set(stopWords), // words not indexed
+        minLength: 2,             // minimum word length
+        chunk: false              // split pages into sections at h2 and h3 headings with IDs
+      },
+
+      // redirects: Map of old URL path => new URL path or absolute URL
+      // page front matter aliases or redirectFrom values are added
+      redirect: {
+        map: new Map(),
+        html: true,           // meta refresh HTML pages at old URLs
+        netlify: false,       // Netlify or Cloudflare redirects filename, e.g. '_redirects'
+        nginx: false,         // nginx map filename, e.g. 'redirects.conf'
+        status: 301           // HTTP status code used in server redirect files
+      },
+
       // minify options
       minify: {
         enabled: false,
@@ -163,13 +285,83 @@ export class Publican {
       // directory pass-through { from (relative to project), to (relative to dir.build) }
       passThrough: new Set(),
 
+      // pages generated from data records: Set of {
+      //   data,       JSON, CSV, or JavaScript filename (relative to project) or async function(tacs.data) returning records
+      //   template,   page template
+      //   permalink,  pattern using record fields and :index (from 1), e.g. '/product/:name/' (:page for chunks)
+      //               defaults to '/<name>/:index/' or '/<name>/:page/'
+      //   size,       records per page in data.records (0 for one page per record in data.record)
+      //   content,    page content string or function(record) returning a string
+      //   pageData,   function(record) returning page data, e.g. rec => ({ title: rec.name, tags: rec.tags })
+      //   name        virtual directory name (data filename when not set)
+      // }
+      // record fields are not copied to page data unless pageData returns them
+      pagesFrom: new Set(),
+
       // replacer
       replace: new Map(),
 
+      // page excerpts in data.excerpt (HTML) and data.excerptText (plain text)
+      // from content before the marker, a summary front matter value (plain text), or the first paragraphs and words
+      excerpt: {
+        marker: /<!--\s*more\s*-->/i, // string or regular expression
+        paragraphs: 1,        // number of paragraphs (0 for any)
+        words: 55,            // maximum words (0 for no limit)
+        ellipsis: '…'         // appended when words are removed
+      },
+
+      // word count and reading time in minutes in data.wordCount and data.readingTime
+      // Chinese and Japanese characters are counted individually
+      wordCount: {
+        code: false,          // count words in code blocks
+        wordsPerMinute: 200,  // reading rate
+        cjkPerMinute: 500     // CJK character reading rate
+      },
+
+      // markdown shortcodes: Map of name => function(attrs, body, data) returning HTML, or a template name
+      // use {% name attr="value" %} or paired {% name %}markdown{% endname %} (names cannot start with "end")
+      shortcode: new Map(),
+
+      // asset fingerprinting: content-hashed copies of passThrough files and rendered CSS and JS
+      // a copy is removed when its source changes (pruneBuild removes copies left by earlier runs)
+      fingerprint: {
+        enabled: false,
+        match: /\.(css|m?js|png|jpe?g|gif|webp|avif|svg|woff2?|ttf|otf)$/i, // passThrough files to hash
+        length: 8,                      // hash length
+        manifest: 'asset-manifest.json' // manifest file in the build directory (false to disable)
+      },
+
+      // worker threads for markdown conversion and page rendering:
+      // false, true (CPU cores - 1), or a number of threads
+      // processPreRender hooks run on every page before workers start rendering
+      // pages using shortcode functions render in the main thread
+      workers: false,
+
+      // persistent build cache: stores parsed front matter, markdown conversions, and output file hashes
+      // the cache is discarded when the configuration changes
+      cache: {
+        enabled: false,
+        dir: './.publican-cache/'
+      },
+
+      // remove unused files from the build directory: true, false, or 'dryrun' to list them
+      pruneBuild: false,
+
+      // check internal links and #fragments in rendered HTML: false, 'warn', or 'error' (build fails)
+      linkCheck: false,
+
       // watch options
       watch: false,
       watchDebounce: 300,
 
+      // development server options
+      serve: {
+        port: 8000,
+        hostname: 'localhost',
+        reload: true,         // live reload after watch mode changes
+        notFound: '404.html'  // page returned when a file is not found (relative to dir.build)
+      },
+
       // output verbosity
       logLevel: 2,
 
@@ -181,6 +373,9 @@ export class Publican {
   // clean build directory
   async clean() {
 
+    // all files must be written on the next build
+    this.#writeHash.clear();
+
     try {
       await rm(this.config.dir.build, { recursive: true });
     }
@@ -214,6 +409,9 @@ export class Publican {
     // pass template directory
     tacsConfig.dir.template = this.config.dir.template;
 
+    // load build cache
+    await this.#cacheLoad();
+
     perf.mark('read content files');
 
     // directories exist?
@@ -226,48 +424,185 @@ export class Publican {
       this.#readFileContents(this.config.dir.template),
     ])).map(f => (f?.status === 'fulfilled' ? f.value : new Map()));
 
+    perf.mark('read content files');
+    perf.mark('parse content files');
+
+    // convert markdown in worker threads
+    await this.#markdownWorkers(file[0]);
+
     file[0].forEach((content, filename) => this.addContent(filename, content));
     file[1].forEach((content, filename) => this.addTemplate(filename, content));
 
-    perf.mark('read content files');
+    // markdown conversions and front matter are only retained when caching
+    if (!this.config.cache?.enabled) {
+      this.#cache.markdown.clear();
+      this.#cache.frontmatter.clear();
+    }
+
+    perf.mark('parse content files');
+
+    // fetch global data files
+    await this.#readData();
+
+    // generate pages from data
+    await this.#pagesFrom();
+
+    // copy passthrough files: fingerprinted files are required before rendering
+    const fingerprint = this.config.fingerprint?.enabled;
+    if (fingerprint) await this.#copyPassThrough();
 
     // render content
     const written = await this.#render();
 
     // copy passthrough files
-    await this.#copyPassThrough();
+    if (!fingerprint) await this.#copyPassThrough();
+
+    // check internal links
+    this.#linkCheck(true);
+
+    // remove unused build files
+    const removed = await this.#pruneBuild();
+
+    // save build cache
+    await this.#cacheSave();
+
+    // stop worker threads
+    if (!this.config.watch) {
+      await this.#pool?.close();
+      this.#pool = null;
+    }
 
     // output metrics
-    this.#showMetrics(written, true);
+    this.#showMetrics(written.length, true, removed);
 
     // watch for file changes
     if (this.config.watch) {
 
       if (this.config.logLevel) concol.info('watching for changes...');
-      this.#watcher();
+      await this.#watcher();
+
+    }
+
+  }
+
+  // start a development web server for the build directory
+  async serve() {
+
+    if (this.#server) return;
+
+    const cfg = this.config.serve || {};
+
+    this.#server = devServer({
+      dir: this.config.dir.build,
+      root: this.config.root,
+      indexFilename: this.config.indexFilename,
+      notFound: cfg.notFound,
+      reload: cfg.reload
+    });
 
+    try {
+      const url = await this.#server.listen(cfg.port, cfg.hostname);
+      if (this.config.logLevel) concol.info(`development server running at ${ url }`);
+    }
+    catch (e) {
+      this.#server = null;
+      concol.error(`unable to start development server\n${ e }`);
     }
 
   }
 
-  #watcher() {
+
+  // stop watching files, the development server, and worker threads
+  async close() {
+
+    this.#watchers.forEach(w => w.close());
+    this.#watchers = [];
+    clearTimeout(this.#watchDebounce);
+
+    // wait for a rebuild to complete
+    await this.#reRendering;
+
+    await this.#server?.close();
+    this.#server = null;
+
+    await this.#pool?.close();
+    this.#pool = null;
+
+  }
+
+
+  // watch for file changes
+  async #watcher() {
+
+    // pagesFrom and passThrough file types (before watchers start)
+    const
+      pagesFromInfo = await Promise.all( [...this.config.pagesFrom].map(pf => (typeof pf.data === 'string' ? fileInfo(pf.data) : {})) ),
+      passThroughInfo = await Promise.all( [...this.config.passThrough].map(pt => fileInfo(pt.from)) );
 
     // watch for content change
     const contentDir = this.config.dir.content, content = new Set();
     if (this.#status.dirContent.isDir) {
-      watch(contentDir, { recursive: true }, (event, fn) => {
+      this.#watchers.push(watch(contentDir, { recursive: true }, (event, fn) => {
         content.add(fn); wait();
-      });
+      }));
     }
 
     // watch for template change
     const templateDir = this.config.dir.template, template = new Set();
     if (this.#status.dirTemplate.isDir) {
-      watch(templateDir, { recursive: true }, (event, fn) => {
+      this.#watchers.push(watch(templateDir, { recursive: true }, (event, fn) => {
         template.add(fn); wait();
-      });
+      }));
+    }
+
+    // watch for data change
+    const dataDir = this.config.dir.data, data = new Set();
+    if (this.#status.dirData.isDir) {
+      this.#watchers.push(watch(dataDir, { recursive: true }, (event, fn) => {
+        data.add(fn); wait();
+      }));
     }
 
+    // watch for pagesFrom data file change
+    const pagesFrom = new Set();
+    [...this.config.pagesFrom].forEach((pf, idx) => {
+
+      if (!pagesFromInfo[idx].isFile) return;
+
+      const file = basename(pf.data);
+      this.#watchers.push(watch(dirname(pf.data), (event, fn) => {
+        if (fn !== file) return;
+        pagesFrom.add(pf); wait();
+      }));
+
+    });
+
+    // watch for passThrough change
+    const passThrough = new Map();
+    [...this.config.passThrough].forEach((pt, idx) => {
+
+      const info = passThroughInfo[idx];
+
+      // watch directory
+      if (info.isDir) {
+        this.#watchers.push(watch(pt.from, { recursive: true }, (event, fn) => {
+          if (!passThrough.has(pt)) passThrough.set(pt, new Set());
+          passThrough.get(pt).add(fn); wait();
+        }));
+      }
+
+      // watch single file in its parent directory
+      if (info.isFile) {
+        const file = basename(pt.from);
+        this.#watchers.push(watch(dirname(pt.from), (event, fn) => {
+          if (fn !== file) return;
+          passThrough.set(pt, new Set(['']));
+          wait();
+        }));
+      }
+
+    });
+
     // debounce events
     const wait = () => {
 
@@ -284,16 +619,28 @@ export class Publican {
         return;
       }
 
-      this.#reRendering = true;
+      this.#reRendering = reBuild();
+      await this.#reRendering;
+      this.#reRendering = null;
+
+    };
+
+    const reBuild = async() => {
 
       perf.mark('TOTAL REBUILD TIME');
 
       const
         cFiles = [...content],
-        tFiles = [...template];
+        tFiles = [...template],
+        dChange = data.size,
+        gChange = [...pagesFrom],
+        pFiles = [...passThrough].map(([pt, fn]) => [pt, [...fn]]);
 
       content.clear();
       template.clear();
+      data.clear();
+      pagesFrom.clear();
+      passThrough.clear();
 
       perf.mark('read content files');
 
@@ -315,17 +662,34 @@ export class Publican {
 
       perf.mark('read content files');
 
+      // reload all data files
+      if (dChange) await this.#readData();
+
+      // regenerate pages from changed data: all sources when data files change
+      if (dChange || gChange.length) await this.#pagesFrom( dChange ? null : gChange );
+
+      // copy changed passThrough files
+      const copied = await this.#copyPassThroughChanges(pFiles);
+
       // render if no more changes
-      if (!content.size && !template.size) {
+      if (!content.size && !template.size && !data.size && !pagesFrom.size) {
+
+        const
+          fpChange = pFiles.length && this.config.fingerprint?.enabled,
+          written = (cFiles.length || tFiles.length || dChange || gChange.length || fpChange) ? await this.#render(!dChange && !fpChange) : [],
+          removed = await this.#pruneBuild(),
+          changed = [...written.map(f => f.slug), ...copied];
+
+        this.#linkCheck(false);
+        await this.#cacheSave();
 
-        const written = await this.#render();
         perf.mark('TOTAL REBUILD TIME');
-        this.#showMetrics(written);
+        this.#showMetrics(written.length, false, removed, copied.length);
 
-      }
+        // reload browser: stylesheets only when all changed files are CSS
+        if (changed.length) this.#server?.reload( changed.every(f => extname(f).toLowerCase() === '.css') ? 'css' : 'reload' );
 
-      // render complete
-      this.#reRendering = false;
+      }
 
     };
 
@@ -333,11 +697,13 @@ export class Publican {
 
 
   // show performance metrics
-  #showMetrics(written, initialBuild) {
+  #showMetrics(written, initialBuild, removed, copied) {
 
-    if (written && this.config.logLevel) {
+    if ((written || removed || copied) && this.config.logLevel) {
 
       concol.log([ '', [ 'website files output', written ] ]);
+      if (copied) concol.log([[ 'passThrough files copied', copied ]]);
+      if (removed) concol.log([[ 'build files removed', removed ]]);
       if (initialBuild) concol.log([ 'TOTAL PROCESSING TIME', perf.now(), ' ms' ]);
 
       if (this.config.logLevel > 1) {
@@ -379,634 +745,2274 @@ export class Publican {
   }
 
 
-  // add and parse content
-  addContent(filename, content, dataObject = {}) {
+  // convert markdown to HTML using cached or worker thread conversions where possible
+  #markdown(str) {
 
-    filename = posixPath( filename );
+    const
+      cache = this.config.cache?.enabled,
+      key = strHash(str);
 
-    // path error - cannot navigate to parent using '..'
-    if (filename.includes('..')) {
-      concol.error('content filename cannot include parent directory .. reference.');
-      process.exit(1);
-    }
+    if (cache) this.#cache.used.add(key);
 
-    // ignore files matching regex
-    if (this.config.ignoreContentFile && basename(filename).match(this.config.ignoreContentFile)) {
-      return;
+    let html = this.#cache.markdown.get(key);
+    if (html === undefined) {
+      html = mdHTML(str, this.config.markdownOptions);
+      if (cache) this.#cache.markdown.set(key, html);
     }
 
-    // delete from Map
-    if (content === undefined) {
-      this.#contentMap.delete(filename);
-      return;
-    }
+    return html;
 
-    const
-      // extract front matter and content
-      fData = extractFmContent(content, this.config.frontmatterDelimit),
+  }
 
-      // parse front matter from initial data object
-      fInfo = Object.assign( dataObject, parseFrontMatter( fData.fm ) );
 
-    // content passed in dataObject?
-    fData.content = fData.content || dataObject.content || '';
+  // build cache version: changes when Publican, the configuration, or the build directory change
+  // returns null when the configuration cannot be hashed
+  #cacheVersion() {
 
-    fInfo.filename = filename;
-    fInfo.slug = fInfo.slug || slugify(filename, this.config.indexFilename, this.config.slugReplace);
-    if (!fInfo.slug || typeof fInfo.slug !== 'string' || fInfo.slug.includes('..')) {
-      concol.error(`invalid slug "${ fInfo.slug }" for file: ${ filename }`);
-      process.exit(1);
+    try {
+      return strHash(JSON.stringify(
+        [ pkg.version, resolve(this.config.dir.build), this.config ],
+        (k, v) => (
+          typeof v === 'function' || v instanceof RegExp ? String(v) :
+            v instanceof Set || v instanceof Map ? [...v] : v
+        )
+      ));
+    }
+    catch {
+      return null;
     }
 
-    // get link (slug without index.html)
-    const reIndexFn = new RegExp(this.config.indexFilename.replace(/\./g, '\\.') + '$');
-    fInfo.link = posixPath( join(this.config.root, fInfo.slug).replace(reIndexFn, '') );
+  }
 
-    fInfo.directory = posixPath( dirname( fInfo.slug ) ).replace(/\/.*$/, '');
-    fInfo.date = fInfo.date ? new Date(fInfo.date) : null;
-    fInfo.priority = parseFloat(fInfo.priority) || 0.1;
-    fInfo.isMD = extname(fInfo.filename)?.toLowerCase() === '.md';
 
-    const ext = (extname(fInfo.slug) || '').toLowerCase();
+  // load build cache
+  async #cacheLoad() {
 
-    fInfo.isIndexPage = fInfo.slug.endsWith(this.config.indexFilename);
-    fInfo.isHTML = ext.includes('htm');
-    fInfo.isXML = ext === '.xml';
-    fInfo.isCSS = ext === '.css';
-    fInfo.isJS = ext === '.js' || ext === '.mjs' || ext === '.cjs';
+    this.#cache.used.clear();
+    if (!this.config.cache?.enabled) return;
 
-    // format tags
-    if (this.config.tagPages && fInfo.tags) {
+    let cache;
+    try {
+      const str = await readFile( join(this.config.cache.dir, 'cache.json'), { encoding: 'utf8' } );
+      cache = JSON.parse(str);
+      this.#cache.hash = strHash(str);
+    }
+    catch {
+      return;
+    }
 
-      // convert to array
-      if ( !Array.isArray(fInfo.tags) ) fInfo.tags = String( fInfo.tags ).split(',');
+    const version = this.#cacheVersion();
+    if (!version || cache?.version !== version) return;
 
-      fInfo.tags = [
-        ...new Set( fInfo.tags.map(v => v.trim().replace(/\s+/g, ' ')).filter(v => v) )
-      ];
+    this.#cache.markdown = new Map( Object.entries(cache.markdown || {}) );
+    this.#cache.frontmatter = new Map( Object.entries(cache.frontmatter || {}) );
 
-      // create tag information
-      fInfo.tags = fInfo.tags.map(tag => {
+    // restore output hashes when the build file exists
+    const write = Object.entries(cache.write || {});
+    (await Promise.all( write.map(([slug]) => fileInfo( join(this.config.dir.build, slug) )) ))
+      .forEach((info, idx) => {
+        if (info.isFile && !this.#writeHash.has(write[idx][0])) this.#writeHash.set(...write[idx]);
+      });
 
-        const
-          ref = normalize(tag),
-          slug = posixPath( join(this.config.tagPages.root || '', ref) ) + '/' + this.config.indexFilename,
-          link = posixPath( join(this.config.root, dirname(slug)) ) + '/';
+  }
 
-        return { tag, ref, link, slug };
 
-      });
+  // save build cache when changed
+  async #cacheSave() {
 
-    }
-    else {
-      fInfo.tags = null;
-    }
+    const version = this.config.cache?.enabled && this.#cacheVersion();
+    if (!version) return;
 
-    // format groups
-    if (fInfo.groups) {
+    const markdown = {}, frontmatter = {};
+    this.#cache.used.forEach(key => {
+      if (this.#cache.markdown.has(key)) markdown[key] = this.#cache.markdown.get(key);
+      if (this.#cache.frontmatter.has(key)) frontmatter[key] = this.#cache.frontmatter.get(key);
+    });
 
-      // convert to array
-      if ( !Array.isArray(fInfo.groups) ) fInfo.groups = String( fInfo.groups ).split(',');
+    const
+      cache = JSON.stringify({ version, markdown, frontmatter, write: Object.fromEntries(this.#writeHash) }),
+      hash = strHash(cache);
 
-      fInfo.groups = new Set(
-        fInfo.groups.map(v => v.trim().replace(/\s+/g, ' ')).filter(v => v)
-      );
+    if (hash === this.#cache.hash) return;
 
+    try {
+      const dir = this.config.cache.dir;
+      await mkdir(dir, { recursive: true });
+      await writeFile(join(dir, 'cache.json'), cache);
+      this.#cache.hash = hash;
     }
-    else {
-      fInfo.groups = null;
+    catch (e) {
+      if (this.config.logLevel) concol.warn(`unable to save build cache\n${ e }`);
     }
 
-    // publication
-    if (fInfo.publish) {
-      const p = fInfo.publish.toLowerCase();
-      fInfo.publish = this.#isDev || !(p === 'draft' || p === 'false' || this.#now < new Date(p));
-    }
+  }
 
-    // menu
-    if (fInfo.menu === true || fInfo.menu === undefined) {
-      fInfo.menu = (fInfo.isHTML || fInfo.isIndexPage) ? (fInfo.title || properCase(fInfo.directory) || '0') : '0';
-    }
-    if (!fInfo.menu || fInfo.menu === '0' || fInfo.menu?.toLowerCase() === 'false') fInfo.menu = false;
 
-    // index frequency
-    if (fInfo.index === true || fInfo.index === undefined) {
-      fInfo.index = (fInfo.isHTML || fInfo.isIndexPage ? this.config.indexFrequency : '0');
-    }
-    if (!fInfo.index || fInfo.index === '0' || fInfo.index.toLowerCase() === 'false') fInfo.index = false;
+  // read global data files into tacs.data
+  // each .json, .js, .mjs, or .csv file is available at tacs.data.<filename>
+  // files in sub-directories are available at tacs.data.<dir>.<filename>
+  // a sub-directory adds properties to a file object of the same name: site/nav.json sets tacs.data.site.nav in site.json
+  // (files in parent directories load first; a sub-directory replaces a file value which is not an object)
+  async #readData() {
 
-    // word count
-    fInfo.wordCount = 0;
-    if (fInfo.isHTML) {
-      fInfo.wordCount = 1 + ((fInfo.title || '') + ' ' + fData.content)
-        .replace(/<[^<]+?>/g, '')
-        .replace(/\W/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim()
-        .replace(/\S/g, '')
-        .length;
-    }
+    const dataDir = this.config.dir.data, data = {};
 
-    // content - convert markdown to HTML if necessary
-    fInfo.content = fInfo.isMD ? mdHTML(fData.content, this.config.markdownOptions) : fData.content;
+    this.#status.dirData = dataDir ? await fileInfo(dataDir) : {};
 
-    // convert CSS character entities from \XXXX to \uXXXX
-    if (fInfo.isCSS) {
-      fInfo.content = fInfo.content.replace(/\\([0-9A-Z]{4,})/gi, '\\u$1');
-    }
+    if (this.#status.dirData.isDir) {
 
-    // escape JS backticks
-    if (fInfo.isJS) {
-      fInfo.content = fInfo.content.replaceAll('`', Publican.#jsBackTick);
-    }
+      perf.mark('read data files');
 
-    // ensure pages using data.contentRendered are processed last
-    fInfo.renderPriority = fInfo.content.includes('.contentRendered') ? -2 : 0;
+      const fileList = (await readdir(dataDir, { recursive: true }))
+        .map(f => posixPath(f))
+        .filter(f => ['.json', '.js', '.mjs', '.csv'].includes( extname(f).toLowerCase() ));
 
-    // debug flag
-    fInfo.debug = fInfo.debug && String(fInfo.debug).trim().toLowerCase() !== 'false';
+      const values = await Promise.all(
+        fileList.map(async f => {
 
-    // custom processing: processContent hook
-    this.config.processContent.forEach(fn => fn(fInfo, filename));
+          try {
+            return [ f, await this.#readDataFile( join(dataDir, f) ) ];
+          }
+          catch (e) {
+            if (this.config.logLevel) concol.warn(`unable to load data file ${ f }\n${ e }`);
+            return null;
+          }
 
-    // store in Map
-    this.#contentMap.set(filename, fInfo);
+        })
+      );
+
+      // files in parent directories first, then by name
+      values
+        .filter(v => v)
+        .sort(([a], [b]) => (a.split('/').length - b.split('/').length) || (a < b ? -1 : 1))
+        .forEach(([f, value]) => {
+
+          // create nested objects for sub-directories
+          const path = f.slice(0, -extname(f).length).split('/');
+          let obj = data;
+          path.slice(0, -1).forEach(p => {
+            if (!obj[p] || typeof obj[p] !== 'object' || Array.isArray(obj[p])) obj[p] = {};
+            obj = obj[p];
+          });
+          obj[ path.at(-1) ] = value;
+
+        });
+
+      perf.mark('read data files');
 
-    // debug
-    if (fInfo.debug) {
-      concol.log([ Publican.#logLine, filename, Publican.#logLine ]);
-      console.dir(fInfo, { depth: null, color: true });
-      concol.log(Publican.#logLine);
     }
 
+    tacs.data = data;
+
   }
 
 
-  // add and parse template
-  addTemplate(filename, content) {
+  // read and parse a JSON, CSV, or JavaScript data file
+  // JavaScript files return the default export, which can be an async function
+  // Node.js cannot unload ES modules, so every reload adds a module to memory
+  // and modules imported by the data file are not reloaded
+  async #readDataFile(file) {
 
-    filename = posixPath( filename );
+    const ext = extname(file).toLowerCase();
 
-    // delete from Map
-    if (content === undefined) {
-      templateMap.delete(filename);
-      return;
-    }
+    if (ext === '.js' || ext === '.mjs') {
 
-    // parse markdown template
-    if (extname(filename)?.toLowerCase() === '.md') {
-      content = mdHTML(content, this.config.markdownOptions);
-    }
+      // modified time ensures changed modules are reloaded
+      const
+        info = await fileInfo(file),
+        module = await import( `${ pathToFileURL( resolve(file) ).href }?m=${ info.modified }` );
 
-    // custom processing: processTemplate hook
-    this.config.processTemplate.forEach(fn => { content = fn(content, filename); });
+      let value = module.default;
+      if (typeof value === 'function') value = value();
+      return await value;
 
-    // store in Map
-    templateMap.set(filename, content);
+    }
 
-  }
+    const str = await readFile(file, { encoding: 'utf8' });
+    return ext === '.csv' ? parseCSV(str) : JSON.parse(str);
 
+  }
 
-  // render and build site
-  async #render() {
 
-    perf.mark('render web files');
+  // create virtual content pages from pagesFrom data records
+  // list is an array of pagesFrom entries to regenerate (all when not set)
+  // pages from records which no longer exist are removed
+  async #pagesFrom(list) {
 
-    // TACS global content
-    tacs.root = this.config.root;
-    tacs.all = new Map();
-    tacs.dir = new Map();
-    tacs.tag = new Map();
-    tacs.group = new Map();
-    tacs.tagList = [];
+    if (!this.config.pagesFrom?.size) return;
 
-    // tag slug to name map
-    const tagName = new Map();
+    perf.mark('generate data pages');
 
-    // initial pass
-    this.#contentMap.forEach(data => {
+    const all = [...this.config.pagesFrom];
 
-      // is a draft page?
-      if (data.publish === false) return;
+    await Promise.allSettled(
+      (list || all).map(async pf => {
 
-      // append groups to post data using optional filter function
-      if (this.config?.groupPages?.list) {
+        const name = pf.name || (typeof pf.data === 'string' ? basename(pf.data, extname(pf.data)) : 'pagesFrom' + all.indexOf(pf));
 
-        for (const groupName in this.config.groupPages.list) {
+        let records;
+        try {
+          records = await (typeof pf.data === 'function' ? pf.data(tacs.data) : this.#readDataFile(pf.data));
+        }
+        catch (e) {
+          if (this.config.logLevel) concol.warn(`unable to load pagesFrom data ${ name }\n${ e }`);
+          return;
+        }
 
-          const fn = this.config.groupPages.list[ groupName ]?.filter;
+        if (!Array.isArray(records)) records = Object.values(records || {});
 
-          if (fn && fn(data)) {
-            data.groups = data.groups || new Set();
-            data.groups.add( groupName );
+        const
+          size = parseInt(pf.size, 10) || 0,
+          page = size ? chunk(records, size) : records,
+          pattern = pf.permalink || `/${ name }/${ size ? ':page' : ':index' }/`,
+          prev = this.#pagesFromFiles.get(pf) || new Set(),
+          files = page.map((rec, p) => `@${ name }/${ p }.html`);
+
+        // add page per record or chunk
+        page.forEach((rec, p) => {
+
+          const
+            content = String( (typeof pf.content === 'function' ? pf.content(rec) : pf.content) ?? '' ),
+            token = { index: String(p + 1), page: p ? String(p) : '' };
+
+          // normalized record values
+          if (!size && rec && typeof rec === 'object') {
+            Object.entries(rec).forEach(([field, value]) => {
+              if (typeof value === 'string' || typeof value === 'number') token[field] = normalize(String(value));
+            });
           }
+
+          this.addContent(files[p], content, {
+            ...(pf.template ? { template: pf.template } : {}),
+            ...(typeof pf.pageData === 'function' ? pf.pageData(rec) : {}),
+            slug: permalink(pattern, token, this.config.indexFilename),
+            ...(size ? { records: rec, page: token.page } : { record: rec })
+          });
+
+        });
+
+        // chunk pagination
+        if (size) {
+
+          const href = files.map(f => this.#contentMap.get(f)?.link || null);
+
+          files.forEach((f, p) => {
+
+            const data = this.#contentMap.get(f);
+            if (!data) return;
+
+            data.pagination = {
+              page: page[p],
+              pageTotal: page.length,
+              pageCurrent: p,
+              pageCurrent1: p + 1,
+              subpageFrom1: (p * size) + 1,
+              subpageTo1: Math.min(records.length, (p + 1) * size),
+              hrefBack: href[p - 1] || null,
+              hrefNext: href[p + 1] || null,
+              href
+            };
+
+          });
+
         }
 
+        // remove pages from deleted records
+        prev.forEach(f => { if (!files.includes(f)) this.addContent(f); });
+        this.#pagesFromFiles.set(pf, new Set(files));
+
+      })
+    );
+
+    perf.mark('generate data pages');
+
+  }
+
+
+  // add and parse content
+  addContent(filename, content, dataObject = {}) {
+
+    filename = posixPath( filename );
+
+    // path error - cannot navigate to parent using '..'
+    if (filename.includes('..')) {
+      concol.error('content filename cannot include parent directory .. reference.');
+      process.exit(1);
+    }
+
+    // ignore files matching regex
+    if (this.config.ignoreContentFile && basename(filename).match(this.config.ignoreContentFile)) {
+      return;
+    }
+
+    // delete from Map
+    if (content === undefined) {
+      if (this.#contentMap.has(filename)) this.#changed.meta = true;
+      this.#contentMap.delete(filename);
+      this.#contentMeta.delete(filename);
+      return;
+    }
+
+    // extract front matter and content
+    let fData;
+    try {
+
+      fData = this.#frontMatter(filename, content);
+
+    }
+    catch (e) {
+
+      concol.error(`invalid front matter in file: ${ filename }\n${ e.message }`);
+
+      // watch mode keeps the previous version
+      if (this.config.watch) return;
+      process.exit(1);
+
+    }
+
+    // parse front matter from initial data object
+    const fInfo = Object.assign( dataObject, fData.data );
+
+    // numeric dates such as a year are parsed as date strings rather than timestamps
+    [ 'date', 'modified' ].forEach(d => {
+      if (typeof fInfo[d] === 'number') fInfo[d] = String(fInfo[d]);
+    });
+
+    // content passed in dataObject?
+    fData.content = fData.content || dataObject.content || '';
+
+    fInfo.filename = filename;
+
+    const slugSet = !!fInfo.slug;
+    fInfo.slug = fInfo.slug || slugify(filename, this.config.indexFilename, this.config.slugReplace);
+    this.#slugCheck(fInfo);
+
+    // locale from directory or front matter
+    const i18n = this.#i18n();
+    if (i18n) {
+
+      const dir = fInfo.slug.split('/')[0];
+
+      if (dir === i18n.default && !i18n.root(dir) && fInfo.slug.includes('/')) {
+
+        // default locale directory content is in the site root
+        fInfo.lang = dir;
+        fInfo.slug = fInfo.slug.slice(dir.length + 1);
+
+      }
+      else {
+        fInfo.lang = i18n.locales.includes(dir) && i18n.root(dir) ? dir : i18n.locales.includes(fInfo.lang) ? fInfo.lang : i18n.default;
       }
 
-      // create groups
-      if (data?.groups?.size) {
+    }
+
+    // permalink pattern
+    const pattern = !slugSet && (fInfo.permalink || [...this.config.permalink].find(([glob]) => globRegExp(glob).test(filename))?.[1]);
+    if (pattern) {
+      fInfo.slug = permalink(pattern, this.#permalinkToken(fInfo), this.config.indexFilename);
+      this.#slugCheck(fInfo);
+    }
+
+    if (i18n) {
+
+      // locale directory prefix
+      const lRoot = i18n.root(fInfo.lang);
+      if (lRoot && !fInfo.slug.startsWith(lRoot + '/')) fInfo.slug = lRoot + '/' + fInfo.slug;
+
+    }
+
+    // get link (slug without index.html)
+    const reIndexFn = new RegExp(this.config.indexFilename.replace(/\./g, '\\.') + '$');
+    fInfo.link = posixPath( join(this.config.root, fInfo.slug).replace(reIndexFn, '') );
+
+    fInfo.directory = this.#directory(fInfo.slug, fInfo.lang);
+    fInfo.date = fInfo.date ? new Date(fInfo.date) : null;
+    fInfo.modified = fInfo.modified ? new Date(fInfo.modified) : null;
+    fInfo.priority = parseFloat(fInfo.priority) || 0.1;
+    fInfo.isMD = extname(fInfo.filename)?.toLowerCase() === '.md';
+
+    const ext = (extname(fInfo.slug) || '').toLowerCase();
+
+    fInfo.isIndexPage = fInfo.slug.endsWith(this.config.indexFilename);
+    fInfo.isHTML = ext.includes('htm');
+    fInfo.isXML = ext === '.xml';
+    fInfo.isCSS = ext === '.css';
+    fInfo.isJS = ext === '.js' || ext === '.mjs' || ext === '.cjs';
+
+    // format taxonomy terms
+    const taxonomy = this.#taxonomy();
+    if (!taxonomy.has('tags')) fInfo.tags = null;
+
+    taxonomy.forEach((cfg, name) => {
+
+      if (!fInfo[name]) {
+        fInfo[name] = null;
+        return;
+      }
+
+      // convert to array
+      if ( !Array.isArray(fInfo[name]) ) fInfo[name] = String( fInfo[name] ).split(',');
+
+      const terms = [
+        ...new Set( fInfo[name].map(v => String(v ?? '').trim().replace(/\s+/g, ' ')).filter(v => v) )
+      ];
+
+      // create term information
+      const termRoot = join(this.#i18n()?.root(fInfo.lang) || '', this.#taxonomyRoot(name, cfg));
+      fInfo[name] = terms.map(term => {
+
+        const
+          ref = normalize(term),
+          slug = posixPath( join(termRoot, ref) ) + '/' + this.config.indexFilename,
+          link = posixPath( join(this.config.root, dirname(slug)) ) + '/';
+
+        return { name: term, tag: term, ref, link, slug };
+
+      });
+
+    });
+
+    // format groups
+    if (fInfo.groups) {
+
+      // convert to array
+      if ( !Array.isArray(fInfo.groups) ) fInfo.groups = String( fInfo.groups ).split(',');
+
+      fInfo.groups = new Set(
+        fInfo.groups.map(v => String(v ?? '').trim().replace(/\s+/g, ' ')).filter(v => v)
+      );
+
+    }
+    else {
+      fInfo.groups = null;
+    }
+
+    // publication
+    if (fInfo.publish !== undefined && fInfo.publish !== null && fInfo.publish !== '') {
+      const p = String(fInfo.publish).toLowerCase();
+      fInfo.publish = this.#isDev || !(p === 'draft' || p === 'false' || this.#now < new Date(p));
+    }
+
+    // menu
+    if (fInfo.menu === true || fInfo.menu === undefined) {
+      fInfo.menu = (fInfo.isHTML || fInfo.isIndexPage) ? (fInfo.title || properCase(fInfo.directory) || '0') : '0';
+    }
+    if (!fInfo.menu || fInfo.menu === '0' || String(fInfo.menu).toLowerCase() === 'false') fInfo.menu = false;
+    else fInfo.menu = String(fInfo.menu);
+
+    // index frequency
+    if (fInfo.index === true || fInfo.index === undefined) {
+      fInfo.index = (fInfo.isHTML || fInfo.isIndexPage ? this.config.indexFrequency : '0');
+    }
+    if (!fInfo.index || fInfo.index === '0' || String(fInfo.index).toLowerCase() === 'false') fInfo.index = false;
+    else fInfo.index = String(fInfo.index);
+
+    // content - convert markdown to HTML if necessary
+    fInfo.content = fInfo.isMD ? this.#markdown(fData.content) : fData.content;
+
+    // word count and reading time (set when rendered)
+    fInfo.wordCount = 0;
+    fInfo.readingTime = 0;
+
+    // convert CSS character entities from \XXXX to \uXXXX
+    if (fInfo.isCSS) {
+      fInfo.content = fInfo.content.replace(/\\([0-9A-Z]{4,})/gi, '\\u$1');
+    }
+
+    // escape JS backticks
+    if (fInfo.isJS) {
+      fInfo.content = fInfo.content.replaceAll('`', Publican.#jsBackTick);
+    }
+
+    // ensure pages using data.contentRendered, excerpts, or word counts of other pages are processed last
+    // only page content is checked: templates reading other pages' rendered values can render first
+    fInfo.renderPriority = /(?<!\bdata\s*)\.(?:contentRendered|excerpt|excerptText|wordCount|readingTime)\b/.test(fInfo.content) ? -2 : 0;
+
+    // debug flag
+    fInfo.debug = fInfo.debug && String(fInfo.debug).trim().toLowerCase() !== 'false';
+
+    // custom processing: processContent hook
+    this.config.processContent.forEach(fn => fn(fInfo, filename));
+
+    // store in Map
+    this.#contentMap.set(filename, fInfo);
+
+    // record change: metadata or content body only
+    const meta = this.#metaHash(fInfo);
+    this.#changed.content.add(fInfo.slug);
+    if (!meta || meta !== this.#contentMeta.get(filename)) this.#changed.meta = true;
+    else this.#changed.body = true;
+    this.#contentMeta.set(filename, meta);
+
+    // debug
+    if (fInfo.debug) {
+      concol.log([ Publican.#logLine, filename, Publican.#logLine ]);
+      console.dir(fInfo, { depth: null, color: true });
+      concol.log(Publican.#logLine);
+    }
+
+  }
+
+
+  // exit when a slug is not valid
+  #slugCheck(fInfo) {
+
+    if (!fInfo.slug || typeof fInfo.slug !== 'string' || fInfo.slug.includes('..')) {
+      concol.error(`invalid slug "${ fInfo.slug }" for file: ${ fInfo.filename }`);
+      process.exit(1);
+    }
+
+  }
+
+
+  // permalink token values from page data
+  #permalinkToken(fInfo) {
+
+    const
+      token = {},
+      date = fInfo.date ? new Date(fInfo.date) : null,
+      pad = n => String(n).padStart(2, '0'),
+      reIndexFn = new RegExp('/?' + this.config.indexFilename.replace(/\./g, '\\.') + '$');
+
+    // normalized front matter values
+    Object.entries(fInfo).forEach(([name, value]) => {
+      if (typeof value === 'string' || typeof value === 'number') token[name] = normalize(String(value));
+    });
+
+    if (date && !isNaN(date)) {
+      token.year = String(date.getUTCFullYear());
+      token.month = pad(date.getUTCMonth() + 1);
+      token.day = pad(date.getUTCDate());
+    }
+
+    return Object.assign(token, {
+      title: normalize(String(fInfo.title || '')),
+      slug: basename(fInfo.slug.replace(reIndexFn, '')),
+      filename: normalize(parse(fInfo.filename).name),
+      directory: dirname(fInfo.filename).replace(/^\.$/, ''),
+      lang: fInfo.lang || ''
+    });
+
+  }
+
+
+  // configured taxonomies: Map of front matter field name => page options
+  #taxonomy() {
+
+    const taxonomy = new Map();
+    if (this.config.tagPages) taxonomy.set('tags', this.config.tagPages);
+
+    Object.entries(this.config.taxonomy || {}).forEach(([name, cfg]) => {
+      if (cfg) taxonomy.set(name, cfg);
+      else taxonomy.delete(name);
+    });
+
+    return taxonomy;
+
+  }
+
+
+  // taxonomy page root directory: the field name when not set
+  // tags keep the tagPages default of the site root when root is not set
+  #taxonomyRoot(name, cfg) {
+    return name === 'tags' ? cfg.root || '' : cfg.root ?? name;
+  }
+
+
+  // i18n settings: returns null when no locales are defined
+  // root(lang) returns the locale's directory or an empty string for the root
+  #i18n() {
+
+    const
+      cfg = this.config.i18n,
+      locales = (cfg?.locales || []).map(String);
+
+    if (!locales.length) return null;
+
+    const def = locales.includes(cfg.default) ? cfg.default : locales[0];
+
+    return {
+      locales,
+      default: def,
+      root: lang => (lang !== def || cfg.prefixDefault ? lang : '')
+    };
+
+  }
+
+
+  // locale of a generated page: the locale of its first item when the slug is in that locale's root
+  #pageLang(slug, lang) {
+
+    const i18n = this.#i18n();
+    if (!i18n) return undefined;
+
+    const root = i18n.root(lang);
+    return i18n.locales.includes(lang) && (!root || slug.startsWith(root + '/')) ? lang : i18n.default;
+
+  }
+
+
+  // top-level directory of a slug within its locale root
+  #directory(slug, lang) {
+
+    const
+      root = this.#i18n()?.root(lang) || '',
+      rel = root && slug.startsWith(root + '/') ? slug.slice(root.length + 1) : slug,
+      dir = posixPath( dirname(rel) ).replace(/\/.*$/, '');
+
+    return root ? (dir === '.' ? root : root + '/' + dir) : dir;
+
+  }
+
+
+  // extract front matter data and content
+  #frontMatter(filename, content) {
+
+    const
+      jsonObject = /^\.(md|html?)$/i.test( extname(filename) ),
+      cache = this.config.cache?.enabled,
+      key = cache && strHash(jsonObject + '\n' + content);
+
+    // cached result: values are serialized to retain dates and other types
+    if (cache) {
+
+      this.#cache.used.add(key);
+      const cached = this.#cache.frontmatter.get(key);
+      if (cached) return deserialize( Buffer.from(cached, 'base64') );
+
+    }
+
+    const fm = extractFrontMatter(
+      content,
+      new Map([ [this.config.frontmatterDelimit, parseFrontMatter], ...this.config.frontmatterParser ]),
+      jsonObject
+    );
+
+    if (cache) {
+      try {
+        this.#cache.frontmatter.set(key, serialize(fm).toString('base64'));
+      }
+      catch {
+        // custom parser values which cannot be serialized are not cached
+      }
+    }
+
+    return fm;
+
+  }
+
+
+  // hash of content metadata excluding the content body, word count, and reading time
+  // returns null when it cannot be determined
+  #metaHash(fInfo) {
+
+    try {
+      return strHash(JSON.stringify(fInfo, (k, v) => (k === 'content' || k === 'wordCount' || k === 'readingTime' ? undefined : v instanceof Set || v instanceof Map ? [...v] : v)));
+    }
+    catch {
+      return null;
+    }
+
+  }
+
+
+  // add and parse template
+  addTemplate(filename, content) {
+
+    filename = posixPath( filename );
+
+    // record change
+    this.#changed.template.add(filename);
+
+    // delete from Map
+    if (content === undefined) {
+      templateMap.delete(filename);
+      return;
+    }
+
+    // parse markdown template
+    if (extname(filename)?.toLowerCase() === '.md') {
+      content = this.#markdown(content);
+    }
+
+    // custom processing: processTemplate hook
+    this.config.processTemplate.forEach(fn => { content = fn(content, filename); });
+
+    // store in Map
+    templateMap.set(filename, content);
+
+  }
+
+
+  // render and build site
+  // incremental renders only process pages affected by changes since the last render
+  async #render(incremental = false) {
+
+    perf.mark('render web files');
+
+    // files produced by this render
+    this.#built.clear();
+
+    // TACS global content
+    tacs.root = this.config.root;
+    tacs.asset = url => assetURL(url, this.#assets, this.config.root);
+    tacs.shortcode = (...args) => renderShortcode(this.config.shortcode, ...args);
+    tacs.all = new Map();
+    tacs.dir = new Map();
+    tacs.tag = new Map();
+    tacs.group = new Map();
+    tacs.tagList = [];
+    tacs.taxonomy = {};
+    tacs.archive = new Map();
+
+    // taxonomy name => locale => term Maps
+    const
+      i18n = this.#i18n(),
+      taxonomy = this.#taxonomy(),
+      localeTerm = new Map( [...taxonomy.keys()].map(name => [ name, new Map() ]) );
+
+    // initial pass
+    this.#contentMap.forEach(data => {
+
+      // is a draft page?
+      if (data.publish === false) return;
+
+      // append groups to post data using optional filter function
+      if (this.config?.groupPages?.list) {
+
+        for (const groupName in this.config.groupPages.list) {
+
+          const fn = this.config.groupPages.list[ groupName ]?.filter;
+
+          if (fn && fn(data)) {
+            data.groups = data.groups || new Set();
+            data.groups.add( groupName );
+          }
+        }
+
+      }
+
+      // create groups
+      if (data?.groups?.size) {
+
+        data.groups.forEach(groupName => {
+
+          const groupSet = tacs.group.get( groupName ) || [];
+          groupSet.push( data );
+          tacs.group.set(groupName, groupSet);
+
+        });
+
+      }
+
+      // handle directories
+      const dir = data.directory;
+      if (
+        data.link !== '/' &&
+        data.slug !== dir + '/' + this.config.indexFilename &&
+        data.index !== false
+      ) {
+
+        const dirSet = tacs.dir.get( dir ) || [];
+        dirSet.push( data );
+        tacs.dir.set(dir, dirSet);
+
+      }
+
+      // handle taxonomy terms
+      localeTerm.forEach((localeMap, name) => {
+
+        if (!data[name]) return;
+
+        const lang = i18n ? data.lang : '';
+        if (!localeMap.has(lang)) localeMap.set(lang, new Map());
+        const termMap = localeMap.get(lang);
+
+        data[name].forEach(t => {
+
+          const termSet = termMap.get( t.ref ) || [];
+          termSet.push( data );
+          termMap.set(t.ref, termSet);
+
+        });
+
+      });
+
+      // pass to TACS
+      if (tacs.all.has(data.slug)) {
+        concol.error(`same slug used in multiple places: ${ data.slug }`);
+        process.exit(1);
+      }
+
+      tacs.all.set(data.slug, data);
+
+    });
+
+    // group pages (overrides directory and tag pages)
+    if (this.config.groupPages && tacs.group.size) {
+
+      const paginateRoots = new Set();
+      tacs.group.forEach((list, groupName) => {
+
+        const
+          cfgDefault = this.config.groupPages,
+          cfg = this.config.groupPages?.list?.[groupName],
+          sB = cfg?.sortBy || cfgDefault?.sortBy || 'date',
+          sD = cfg?.sortOrder || cfgDefault?.sortOrder || -1;
+
+        // sort pages
+        list.sort( (a, b) => sD * (a[ sB ] - b[ sB ]) );
+        tacs.group.set(groupName, list);
+
+        // paginate
+        if (list.length && cfg && typeof cfg.root === 'string') {
+
+          // get root slug and page
+          const root = cfg.root || '';
+          if (paginateRoots.has(root)) {
+            concol.error(`group paginate root used by multiple groups: ${ root }`);
+            process.exit(1);
+          }
+          paginateRoots.add(root);
+
+          const rPage = dirname(
+            join(
+              posixPath( root ).replace(/\/+$/, '').replace(/^\/+/, ''),
+              this.config.indexFilename
+            )
+          ).replace(/^[.|/]*/, '');
+
+          const rootPage = tacs.all.get( join(rPage, this.config.indexFilename) );
+
+          // paginate
+          this.#paginate(
+            new Map([[ rPage, list ]]),
+            cfg.size || cfgDefault?.size || Infinity,
+            '',
+            cfg.template || cfgDefault?.template || this.config.defaultHTMLTemplate
+          ).forEach((fInfo, slug) => {
+
+            fInfo.isGroupIndex = groupName;
+            fInfo.title = rootPage?.title || properCase(groupName);
+            fInfo.description = rootPage?.description || fInfo.title;
+            fInfo.index = cfg.index || cfgDefault?.index || false;
+
+            tacs.all.set(slug, Object.assign(fInfo, tacs.all.get(slug) || {}));
+
+          });
+
+        }
+
+      });
+
+    }
+
+    // directory pages
+    if (this.config.dirPages) {
+
+      tacs.dir.forEach((list, dir) => {
+
+        const
+          sB = this.config.dirPages.dir?.[dir]?.sortBy || this.config.dirPages.sortBy || 'priority',
+          sD = this.config.dirPages.dir?.[dir]?.sortOrder || this.config.dirPages.sortOrder || -1;
+
+        // sort by factor then date
+        list.sort( (a, b) => {
+          let s = sD * (a[ sB ] == b[ sB ] ? 0 : a[ sB ] > b[ sB ] ? 1 : -1);
+          if (!s) s = b.date - a.date;
+          return s;
+        } );
+
+        tacs.dir.set(dir, list);
+
+        // next and back articles
+        for (let a = 0; a < list.length; a++) {
+          const data = list[a];
+          data.postback = a > 0 ? list[a - 1] : null;
+          data.postnext = a < list.length - 1 ? list[a + 1] : null;
+        }
+
+      });
+
+      // paginate
+      this.#paginate(
+        tacs.dir,
+        this.config.dirPages.size || Infinity,
+        '',
+        this.config.dirPages.template
+      ).forEach((fInfo, slug) => {
+
+        const rootPage = tacs.all.get( fInfo.directory + '/' + this.config.indexFilename );
+        fInfo.isDirIndex = rootPage?.title || properCase(fInfo.directory.split('/').pop());
+        fInfo.title = fInfo.isDirIndex;
+        fInfo.description = rootPage?.description || fInfo.title;
+        fInfo.index = this.config.dirPages.index || false;
+
+        tacs.all.set(slug, Object.assign(fInfo, tacs.all.get(slug) || {}));
+
+      });
+
+    }
+
+    // taxonomy pages
+    const localeTaxonomy = new Map();
+    taxonomy.forEach((cfg, name) => {
+
+      const sB = cfg.sortBy || 'date', sD = cfg.sortOrder || -1;
+
+      localeTerm.get(name).forEach((termMap, lang) => {
+
+        const
+          termList = [],
+          termName = new Map();
+
+        // sort pages
+        termMap.forEach((list, ref) => {
+
+          list.sort( (a, b) => sD * (a[ sB ] - b[ sB ]) );
+          termMap.set(ref, list);
+
+          // get top article information
+          const t = list[0][name].find(t => t.ref === ref);
+          termList.push({ name: t.name, tag: t.name, ref, link: t.link, slug: t.slug, count: list.length, ...(i18n ? { lang } : {}) });
+          termName.set(ref, t.name);
+
+        });
+
+        // sort term list by frequency
+        termList.sort((a, b) => b.count - a.count);
+
+        if (!localeTaxonomy.has(lang)) localeTaxonomy.set(lang, {});
+        localeTaxonomy.get(lang)[name] = { map: termMap, list: termList };
+
+        // paginate
+        this.#paginate(
+          termMap,
+          cfg.size || Infinity,
+          join(i18n?.root(lang) || '', this.#taxonomyRoot(name, cfg)),
+          cfg.template
+        ).forEach((fInfo, slug) => {
+
+          fInfo.taxonomy = name;
+          fInfo.isTaxonomyIndex = termName.get( fInfo.name );
+          if (name === 'tags') fInfo.isTagIndex = fInfo.isTaxonomyIndex;
+          fInfo.title = fInfo.isTaxonomyIndex;
+          fInfo.description = fInfo.isTaxonomyIndex;
+          fInfo.menu = cfg.menu;
+          fInfo.index = cfg.index || false;
+
+          tacs.all.set(slug, Object.assign(fInfo, tacs.all.get(slug) || {}));
+
+        });
+
+        // taxonomy index page at the root
+        const
+          iCfg = cfg.indexPage,
+          iRoot = posixPath( join(i18n?.root(lang) || '', this.#taxonomyRoot(name, cfg)) ).replace(/^[./]+$/, '');
+
+        if (!iCfg?.enabled || !iRoot) return;
+
+        const terms = termList
+          .filter(t => t.count >= (iCfg.minCount || 1))
+          .sort((a, b) => (iCfg.sortBy === 'count' && b.count - a.count) || a.name.localeCompare(b.name, lang || 'en'));
+
+        // later pages must not replace term pages: use one index page when they would
+        const paginate = size => this.#paginate(
+          new Map([[ '', terms ]]),
+          size,
+          iRoot,
+          iCfg.template || cfg.template,
+          iCfg.pageDir ?? 'page'
+        );
+
+        let indexPages = paginate(iCfg.size || Infinity);
+        const collide = [...indexPages.keys()].find(slug => tacs.all.get(slug)?.pagination);
+
+        if (collide) {
+          if (this.config.logLevel) concol.warn(`${ name } index page not paginated - slug used by a term page: ${ collide }`);
+          indexPages = paginate(Infinity);
+        }
+
+        indexPages.forEach((fInfo, slug) => {
+
+          fInfo.taxonomy = name;
+          fInfo.isTaxonomyRoot = true;
+          fInfo.title = iCfg.title || properCase(iRoot.split('/').pop());
+          fInfo.description = fInfo.title;
+          fInfo.menu = cfg.menu;
+          fInfo.index = cfg.index || false;
+          if (iCfg.letterGroup) fInfo.letterGroup = letterGroup(fInfo.pagination.page, 'name');
+
+          tacs.all.set(slug, Object.assign(fInfo, tacs.all.get(slug) || {}));
+
+        });
+
+      });
+
+    });
+
+    // locale taxonomies with empty defaults
+    const taxonomyFor = lang => Object.fromEntries(
+      [...taxonomy.keys()].map(name => [ name, localeTaxonomy.get(lang)?.[name] || { map: new Map(), list: [] } ])
+    );
+
+    // default locale taxonomies and tags
+    tacs.taxonomy = taxonomyFor(i18n ? i18n.default : '');
+    tacs.tag = tacs.taxonomy.tags?.map || new Map();
+    tacs.tagList = tacs.taxonomy.tags?.list || [];
+
+    // date archive pages for each locale
+    const localeArchive = new Map();
+    if (this.config.archivePages) {
+
+      const
+        cfg = this.config.archivePages,
+        sB = cfg.sortBy || 'date',
+        sD = cfg.sortOrder || -1,
+        pad = n => String(n).padStart(2, '0'),
+        localePosts = new Map();
+
+      tacs.all.forEach(data => {
+
+        if (
+          !data.isHTML || !data.date || isNaN(data.date) || data.pagination ||
+          data.link === this.config.root || data.slug === data.directory + '/' + this.config.indexFilename
+        ) return;
+
+        const lang = i18n ? data.lang : '';
+        if (!localePosts.has(lang)) localePosts.set(lang, []);
+        localePosts.get(lang).push(data);
+
+      });
+
+      localePosts.forEach((posts, lang) => {
+
+        const
+          root = join(i18n?.root(lang) || '', cfg.root || ''),
+          bucket = new Map(),
+          archive = new Map();
+
+        // add a post to a year, month, or day entry and its paginated bucket
+        const add = (map, key, name, info, data) => {
+
+          if (!map.has(key)) {
+            map.set(key, { ...info, link: null, count: 0, posts: [] });
+            if (name) bucket.set(name, map.get(key));
+          }
+
+          const entry = map.get(key);
+          entry.count++;
+          entry.posts.push(data);
+          return entry;
+
+        };
+
+        posts
+          .sort((a, b) => b.date - a.date)
+          .forEach(data => {
+
+            const
+              year = data.date.getUTCFullYear(),
+              month = data.date.getUTCMonth() + 1,
+              day = data.date.getUTCDate(),
+              y = add(archive, year, String(year), { level: 'year', year, months: new Map() }, data),
+              m = add(y.months, month, cfg.month && `${ year }/${ pad(month) }`, { level: 'month', year, month, days: new Map() }, data);
+
+            add(m.days, day, cfg.day && `${ year }/${ pad(month) }/${ pad(day) }`, { level: 'day', year, month, day }, data);
+
+          });
+
+        // paginate sorted buckets
+        const format = {
+          year: { year: 'numeric' },
+          month: { year: 'numeric', month: 'long' },
+          day: { dateStyle: 'long' }
+        };
+
+        this.#paginate(
+          new Map( [...bucket].map(([name, entry]) => [ name, [...entry.posts].sort( (a, b) => sD * (a[ sB ] == b[ sB ] ? 0 : a[ sB ] > b[ sB ] ? 1 : -1) || b.date - a.date ) ]) ),
+          cfg.size || Infinity,
+          root,
+          cfg.template || this.config.defaultHTMLTemplate
+        ).forEach((fInfo, slug) => {
+
+          const
+            { level, year, month = null, day = null } = bucket.get(fInfo.name),
+            date = new Date( Date.UTC(year, (month || 1) - 1, day || 1) );
+
+          if (!fInfo.pagination.pageCurrent) bucket.get(fInfo.name).link = fInfo.link;
+
+          fInfo.isArchiveIndex = level;
+          fInfo.archive = { year, month, day };
+          fInfo.title = new Intl.DateTimeFormat(lang || 'en', { ...format[level], timeZone: 'UTC' }).format(date);
+          fInfo.description = fInfo.title;
+          fInfo.menu = cfg.menu || false;
+          fInfo.index = cfg.index || false;
+
+          tacs.all.set(slug, Object.assign(fInfo, tacs.all.get(slug) || {}));
+
+        });
+
+        localeArchive.set(lang, archive);
+
+      });
+
+    }
+
+    tacs.archive = localeArchive.get(i18n ? i18n.default : '') || new Map();
+
+    // create navigation menu objects from slugs for each locale
+    const localeNav = new Map();
+    tacs.all.forEach(data => {
+
+      if ((!data.isHTML && !data.isIndexPage) || data.pagination?.pageCurrent) return;
+
+      const
+        lang = i18n ? data.lang : '',
+        root = i18n?.root(lang),
+        sPath = (root && data.slug.startsWith(root + '/') ? data.slug.slice(root.length + 1) : data.slug).split('/');
+
+      if (sPath.length === 1) sPath.unshift('/');
+      if (!localeNav.has(lang)) localeNav.set(lang, {});
+
+      let navMap = localeNav.get(lang);
+      while (sPath.length) {
+
+        const p = sPath.shift();
+
+        if (p === this.config.indexFilename) {
+          navMap.data = data;
+        }
+
+        if (sPath.length) {
+          navMap[p] = navMap[p] || { data: {}, children: {} };
+          navMap = navMap[p];
+          if (sPath.length > 1) {
+            navMap = navMap.children;
+          }
+        }
+
+      }
+
+    });
+
+    // convert nav objects to arrays and sort
+    const dP = this.config.dirPages;
+
+    localeNav.forEach((nav, lang) => localeNav.set(lang, this.config.nav ? recurseNav(nav) : []));
+    tacs.nav = localeNav.get(i18n ? i18n.default : '') || [];
+
+    function recurseNav(obj, dir) {
+
+      const ret = Object.values(obj);
+
+      // use first child filename if directory does not exist
+      ret.forEach(d => {
+        if (d.data.filename) return;
+
+        const key = Object.keys(d.children);
+        if (key.length) {
+          d.data.filename = d.children[key[0]].data.filename;
+        }
+
+      });
+
+      // sort menu items
+      const
+        sB = (dir && dP.dir?.[dir]?.sortBy) || dP?.sortBy || 'priority',
+        sD = (dir && dP.dir?.[dir]?.sortOrder) || dP.sortOrder || -1;
+
+      ret.sort( (a, b) => {
+        let s = sD * (a.data[ sB ] == b.data[ sB ] ? 0 : a.data[ sB ] > b.data[ sB ] ? 1 : -1);
+        if (!s) s = b.data.date - a.data.date;
+        return s;
+      });
+
+      // recurse child pages
+      ret.forEach(n => {
+        n.children = recurseNav( n.children, n.data.directory );
+      });
+
+      return ret;
+    }
+
+    // locale collections and translations
+    tacs.locale = new Map();
+    if (i18n) {
+
+      i18n.locales.forEach(lang => {
+
+        const root = i18n.root(lang);
+
+        tacs.locale.set(lang, {
+          lang,
+          root,
+          link: posixPath( join(this.config.root, root, '/') ),
+          nav: localeNav.get(lang) || [],
+          dir: new Map( [...tacs.dir].filter(([, list]) => list[0]?.lang === lang) ),
+          taxonomy: taxonomyFor(lang),
+          archive: localeArchive.get(lang) || new Map(),
+          tag: localeTaxonomy.get(lang)?.tags?.map || new Map(),
+          tagList: localeTaxonomy.get(lang)?.tags?.list || []
+        });
+
+      });
+
+      // match pages by translationKey or path within the locale root
+      const translation = new Map();
+      tacs.all.forEach(data => {
+
+        const
+          root = i18n.root(data.lang),
+          key = data.translationKey ? 'key:' + data.translationKey : 'slug:' + (root && data.slug.startsWith(root + '/') ? data.slug.slice(root.length + 1) : data.slug),
+          list = translation.get(key) || [];
+
+        list.push(data);
+        translation.set(key, list);
+
+      });
+
+      translation.forEach(list => {
+
+        list.sort((a, b) => i18n.locales.indexOf(a.lang) - i18n.locales.indexOf(b.lang));
+
+        list.forEach(data => {
+          data.translations = list.map(t => ({ lang: t.lang, title: t.title, link: t.link, slug: t.slug, current: t === data }));
+        });
+
+      });
+
+    }
+
+    // related content for each locale
+    if (this.config.related?.enabled) {
+
+      const
+        cfg = this.config.related,
+        localePages = new Map();
+
+      tacs.all.forEach(data => {
+
+        if (!data.isHTML) return;
+        data.related = [];
+
+        if (
+          data.pagination || data.index === false || data[ cfg.optOut ] ||
+          data.link === this.config.root || data.slug === data.directory + '/' + this.config.indexFilename
+        ) return;
+
+        const lang = i18n ? data.lang : '';
+        if (!localePages.has(lang)) localePages.set(lang, []);
+        localePages.get(lang).push(data);
+
+      });
+
+      // tag rarity from the locale tag list
+      localePages.forEach((list, lang) => {
+
+        const tagCount = new Map( ((i18n ? tacs.locale.get(lang)?.tagList : tacs.tagList) || []).map(t => [ t.ref, t.count ]) );
+        relatedPages(list, { ...cfg, tagCount }).forEach((related, data) => { data.related = related; });
+
+      });
+
+    }
+
+    // render content in renderPriority order
+    const
+      write = [],
+      pages = [],
+      fingerprint = this.config.fingerprint?.enabled,
+      isAsset = data => !!(fingerprint && (data.isCSS || data.isJS)),
+      allByPriority = Array.from(tacs.all, ([, data]) => data).sort((a, b) => (b.renderPriority - a.renderPriority) || (isAsset(b) - isAsset(a))),
+      changed = this.#changed,
+      renderOpt = { headingAnchor: this.config.headingAnchor, replace: this.config.replace, jsBackTick: Publican.#jsBackTick, excerpt: this.config.excerpt, wordCount: this.config.wordCount };
+
+    this.#changed = { content: new Set(), template: new Set(), meta: false, body: false };
+
+    // changed fingerprinted assets can affect any page and processRenderStart hooks can change any page
+    if (
+      [...changed.content].some(slug => isAsset(tacs.all.get(slug) || {})) ||
+      this.config.processRenderStart.size
+    ) incremental = false;
+
+    // custom processing: processRenderStart hook
+    this.config.processRenderStart.forEach(fn => fn(tacs));
+
+    // record templates, collections, and other pages used when rendering
+    trackSetup(tacs, templateMap);
+    allByPriority.forEach(trackPage);
+
+    allByPriority.forEach(data => {
+
+      const
+        useTemplate = data.template || ((data.isIndexPage || data.isHTML) && this.config.defaultHTMLTemplate),
+        deps = this.#renderDeps.get(data.slug);
+
+      // skip pages unaffected by changes since they were last rendered
+      // generated index pages always use collections
+      if (
+        incremental && deps && this.#writeHash.has(data.slug) && !changed.content.has(data.slug) &&
+        !((deps.collection || data.pagination) && changed.meta) &&
+        !(deps.rendered && (changed.meta || changed.body)) &&
+        ![...deps.templates].some(t => changed.template.has(t))
+      ) {
+        this.#built.add(data.slug);
+        if (isAsset(data) && this.#assets.has(data.slug)) this.#built.add( this.#assets.get(data.slug) );
+        return;
+      }
+
+      pages.push({ data, useTemplate });
+
+    });
+
+    // render in worker threads or the main thread
+    if (!(await this.#renderWorkers(pages, write, renderOpt))) this.#renderPages(pages, write, renderOpt);
+
+    perf.mark('render web files');
+
+    // sitemap
+    if (this.config.sitemap?.enabled) {
+
+      perf.mark('generate sitemap');
+      this.#sitemap().forEach((content, slug) => this.#writeCheck(write, slug, content));
+      perf.mark('generate sitemap');
+
+    }
+
+    // feeds
+    if (this.config.feeds?.enabled) {
+
+      perf.mark('generate feeds');
+      this.#feeds().forEach((content, slug) => this.#writeCheck(write, slug, content));
+      perf.mark('generate feeds');
+
+    }
+
+    // search index
+    if (this.config.search?.enabled) {
+
+      perf.mark('generate search index');
+      this.#search().forEach((content, slug) => this.#writeCheck(write, slug, content));
+      perf.mark('generate search index');
+
+    }
+
+    // redirects
+    perf.mark('generate redirects');
+    this.#redirects().forEach((content, slug) => this.#writeCheck(write, slug, content));
+    perf.mark('generate redirects');
+
+    // asset manifest
+    if (this.config.fingerprint?.enabled) {
+
+      // forget rendered assets no longer produced
+      this.#assets.forEach((hashed, slug) => {
+        if (!this.#built.has(slug) && !this.#passThroughFiles.has(slug)) this.#assets.delete(slug);
+      });
+
+      const
+        manifest = this.config.fingerprint.manifest,
+        root = posixPath( join('/', this.config.root, '/') );
+
+      if (manifest) this.#writeCheck(write, manifest, JSON.stringify(
+        Object.fromEntries( [...this.#assets].map(([slug, hashed]) => [ root + slug, root + hashed ]) ),
+        null,
+        2
+      ));
+
+    }
+    perf.mark('write web files');
+
+    // write content to changed files
+    await Promise.allSettled(
+      write.map(async f => {
+
+        const
+          permaPath = join(this.config.dir.build, f.slug),
+          permaDir = dirname(permaPath);
+
+        // create files
+        await mkdir(permaDir, { recursive: true });
+        await writeFile(permaPath, f.content);
+
+      })
+    );
+
+    // remove superseded fingerprinted files
+    const assetUsed = new Set( this.#assets.values() );
+    await Promise.allSettled(
+      [...this.#assetsOld]
+        .filter(f => !assetUsed.has(f) && !this.#built.has(f))
+        .map(f => rm(join(this.config.dir.build, f), { force: true }))
+    );
+    this.#assetsOld.clear();
+
+    // custom processing: processRenderEnd hook
+    this.config.processRenderEnd.forEach(fn => fn(write, tacs));
+
+    perf.mark('write web files');
+
+    // forget hashes, dependencies, and links of files no longer produced
+    this.#writeHash.forEach((hash, slug) => {
+      if (!this.#built.has(slug)) this.#writeHash.delete(slug);
+    });
+
+    this.#renderDeps.forEach((deps, slug) => {
+      if (!this.#built.has(slug)) this.#renderDeps.delete(slug);
+    });
+
+    this.#links.forEach((page, slug) => {
+      if (!this.#built.has(slug) || !this.config.linkCheck) this.#links.delete(slug);
+    });
+
+    return write;
+
+  }
+
+
+  // render pages in the main thread
+  // preDeps is a Map of page => dependencies when processPreRender hooks have run
+  #renderPages(pages, write, renderOpt, preDeps) {
+
+    pages.forEach(({ data, useTemplate }) => {
+
+      trackStart(data, preDeps?.get(data));
+
+      // custom processing: processPreRender hook
+      if (!preDeps) this.config.processPreRender.forEach(fn => fn(data, tacs));
+
+      this.#renderComplete(write, data, renderPage(data, useTemplate, renderOpt));
+      this.#renderDeps.set(data.slug, trackEnd());
+
+    });
+
+  }
+
+
+  // render pages in worker threads in renderPriority batches
+  // pages using shortcode functions render in the main thread
+  // returns false when workers are not available and pages must render in the main thread
+  async #renderWorkers(pages, write, renderOpt) {
+
+    const pool = pages.length && this.#workerPool();
+    if (!pool) return false;
+
+    // custom processing: processPreRender hook runs on all pages before workers receive data
+    const preDeps = new Map();
+    pages.forEach(({ data }) => {
+      trackStart(data);
+      this.config.processPreRender.forEach(fn => fn(data, tacs));
+      preDeps.set(data, trackEnd());
+    });
+
+    // minify in workers unless processPostRender hooks must run first
+    const minifyPage = !this.config.processPostRender.size;
+
+    try {
+
+      // serialize data once and share it with all workers
+      const
+        setup = serialize({
+          tacs: { ...tacs, asset: undefined, shortcode: undefined },
+          templates: [...templateMap],
+          shortcode: [...this.config.shortcode].map(([name, sc]) => [ name, typeof sc === 'function' ? null : sc ]),
+          assets: [...this.#assets]
+        }),
+        shared = new SharedArrayBuffer(setup.length);
+
+      new Uint8Array(shared).set(setup);
+
+      await pool.all({
+        type: 'setup',
+        shared,
+        templateDir: tacsConfig.dir.template,
+        opt: { ...renderOpt, minifyPage, minify: this.config.minify, root: this.config.root }
+      });
+
+    }
+    catch (e) {
+      this.#workerFallback(`render data cannot be passed to worker threads (${ e.message })`);
+      this.#renderPages(pages, write, renderOpt, preDeps);
+      return true;
+    }
+
+    // batches of pages with the same renderPriority: fingerprinted CSS and JS render first
+    const
+      batch = [],
+      isAsset = data => !!(this.config.fingerprint?.enabled && (data.isCSS || data.isJS)),
+      batchKey = data => data.renderPriority + (isAsset(data) ? ':asset' : '');
+
+    pages.forEach(p => {
+      if (batch.at(-1) && batchKey(batch.at(-1)[0].data) === batchKey(p.data)) batch.at(-1).push(p);
+      else batch.push([ p ]);
+    });
+
+    for (let b = 0; b < batch.length; b++) {
+
+      const
+        result = await pool.map('render', batch[b].map(p => [ p.data.slug, p.useTemplate ])),
+        mainThread = [];
+
+      batch[b].forEach((page, idx) => {
+
+        const { data } = page;
+
+        // page uses a shortcode function
+        if (result[idx].mainThread) {
+          mainThread.push(page);
+          return;
+        }
+
+        Object.assign(data, result[idx].rendered);
+
+        // add processPostRender hook dependencies
+        trackStart(data, preDeps.get(data), result[idx].deps);
+        this.#renderComplete(write, data, result[idx].content, minifyPage);
+        this.#renderDeps.set(data.slug, trackEnd());
+
+      });
+
+      this.#renderPages(mainThread, write, renderOpt, preDeps);
+
+      // pass rendered content and assets to workers for later batches
+      if (b < batch.length - 1) {
+        await pool.all({ type: 'update', rendered: batch[b].map(({ data }) => [ data.slug, renderedData(data) ]), assets: [...this.#assets] });
+      }
+
+    }
+
+    return true;
+
+  }
+
+
+  // post-process rendered page and flag for writing
+  #renderComplete(write, data, content, minified = false) {
+
+    // custom processing: processPostRender hook
+    this.config.processPostRender.forEach(fn => { content = fn(content, data, tacs); });
+
+    // minify
+    if (!minified) content = minifyPage(content, data, this.config.minify);
+
+    // fingerprinted copy of CSS and JS
+    if (this.config.fingerprint?.enabled && (data.isCSS || data.isJS)) {
+
+      if (data.isCSS) content = this.#assetCSS(content, data.slug);
+
+      const hashed = hashName(data.slug, content, this.config.fingerprint.length);
+      this.#assetSet(data.slug, hashed);
+      this.#writeCheck(write, hashed, content);
+
+    }
+
+    // hash check and flag for file write
+    this.#writeCheck(write, data.slug, content);
+
+    // record links and IDs
+    if (this.config.linkCheck && data.isHTML) {
+      this.#links.set(data.slug, { filename: data.filename || data.slug, links: htmlLinks(content), ids: htmlIds(content) });
+    }
+
+  }
+
+
+  // worker thread pool when enabled
+  #workerPool() {
+
+    const workers = this.config.workers;
+    if (!workers) return null;
+
+    this.#pool = this.#pool || workerPool(
+      workers === true ? Math.max(1, availableParallelism() - 1) : Math.max(1, parseInt(workers, 10) || 1)
+    );
+
+    return this.#pool;
+
+  }
+
+
+  // report single-threaded fallback
+  #workerFallback(reason) {
+
+    if (this.config.logLevel) concol.warn(`${ reason }: using a single thread`);
+
+  }
+
+
+  // convert content markdown in worker threads
+  // results are used by #markdown() when content is added
+  async #markdownWorkers(files) {
+
+    const pool = this.#workerPool();
+    if (!pool) return;
+
+    if (this.config.markdownOptions?.use?.size) {
+      this.#workerFallback('markdown-it plugins cannot run in worker threads');
+      return;
+    }
+
+    const md = new Map();
+
+    files.forEach((content, filename) => {
+
+      if (
+        content === undefined ||
+        extname(filename).toLowerCase() !== '.md' ||
+        (this.config.ignoreContentFile && basename(filename).match(this.config.ignoreContentFile))
+      ) return;
+
+      try {
+        const str = this.#frontMatter(filename, content).content;
+        const key = strHash(str);
+        if (!this.#cache.markdown.has(key)) md.set(key, str);
+      }
+      catch {
+        // front matter error reported by addContent
+      }
+
+    });
+
+    try {
+      const html = await pool.map('markdown', [...md.values()], { markdownOptions: this.config.markdownOptions });
+      [...md.keys()].forEach((key, idx) => this.#cache.markdown.set(key, html[idx]));
+    }
+    catch (e) {
+      this.#workerFallback(`markdown cannot be converted in worker threads (${ e.message })`);
+    }
+
+  }
+
+
+  // flag file for writing when its content has changed
+  #writeCheck(write, slug, content) {
+
+    // slug error - cannot navigate to parent using '..'
+    if (slug.includes('..')) {
+      concol.error(`slug cannot include parent directory .. reference: ${ slug }`);
+      process.exit(1);
+    }
+
+    this.#built.add(slug);
+
+    const hash = strHash(content);
+    if (this.#writeHash.get(slug) !== hash) {
+
+      this.#writeHash.set(slug, hash);
+      write.push({ slug, content });
+
+    }
+
+  }
+
+
+  // generate sitemap files from tacs.all
+  // returns a Map of slug => XML content
+  #sitemap() {
+
+    const
+      files = new Map(),
+      cfg = this.config.sitemap,
+      siteURL = (this.config.siteURL || '').replace(/\/+$/, '');
+
+    if (!siteURL) {
+      if (this.config.logLevel) concol.warn('sitemap requires a siteURL setting');
+      return files;
+    }
+
+    const urls = [];
+    tacs.all.forEach(data => {
+
+      if ((!data.isHTML && !data.isIndexPage) || data.publish === false || data.index === false) return;
+
+      // paginated pages use the newest item date
+      let lastmod = data.modified || data.date;
+      if (data.pagination) {
+        lastmod = data.pagination.page.reduce((max, p) => (p?.date > max ? p.date : max), null) || lastmod;
+      }
+
+      urls.push({
+        loc: siteURL + data.link,
+        lastmod,
+        changefreq: data.index,
+        priority: data.priority
+      });
+
+    });
+
+    urls.sort((a, b) => (a.loc > b.loc ? 1 : -1));
+
+    const
+      filename = cfg.filename || 'sitemap.xml',
+      size = cfg.size || 50000;
+
+    if (urls.length <= size) {
+      files.set(filename, sitemapXML(urls));
+      return files;
+    }
+
+    // sitemap index
+    const
+      ext = extname(filename),
+      name = filename.slice(0, filename.length - ext.length);
+
+    files.set(filename, sitemapIndexXML(
+      chunk(urls, size).map((list, idx) => {
+
+        const slug = `${ name }-${ idx + 1 }${ ext }`;
+        files.set(slug, sitemapXML(list));
+
+        return {
+          loc: siteURL + posixPath( join(this.config.root, slug) ),
+          lastmod: list.reduce((max, u) => (u.lastmod > max ? u.lastmod : max), null)
+        };
+
+      })
+    ));
+
+    return files;
+
+  }
+
+
+  // generate RSS, Atom, and JSON feeds for the site, directories, tags, and groups
+  // returns a Map of slug => feed content
+  #feeds() {
+
+    const
+      files = new Map(),
+      cfg = this.config.feeds,
+      siteURL = (this.config.siteURL || '').replace(/\/+$/, ''),
+      indexFn = this.config.indexFilename,
+      generator = { rss: feedRSS, atom: feedAtom, json: feedJSON },
+      itemCache = new Map();
+
+    if (!siteURL) {
+      if (this.config.logLevel) concol.warn('feeds require a siteURL setting');
+      return files;
+    }
+
+    // feed selected?
+    const selected = (opt, name) => opt === true || (Array.isArray(opt) && opt.includes(name));
+
+    // convert page to feed item
+    const feedItem = data => {
+
+      if (itemCache.has(data)) return itemCache.get(data);
+
+      const
+        link = siteURL + data.link,
+        item = {
+          title: data.title,
+          link,
+          date: data.date,
+          modified: data.modified,
+          summary: data.description || data.excerptText,
+          content: (cfg.content === 'full' && data.contentRendered) || (cfg.content === 'excerpt' && data.excerpt) || '',
+          categories: data.tags?.map(t => t.tag)
+        };
+
+      if (item.content && cfg.absoluteURLs) item.content = absoluteURLs(item.content, link);
+
+      itemCache.set(data, item);
+      return item;
+
+    };
+
+    // create feed files in a root directory
+    const addFeed = (root, title, description, pages) => {
+
+      const items = pages
+        .filter(data =>
+          data.isHTML && data.date && !data.pagination && data.publish !== false &&
+          data.link !== this.config.root && data.slug !== data.directory + '/' + indexFn
+        )
+        .sort((a, b) => b.date - a.date)
+        .slice(0, cfg.size || Infinity);
+
+      if (!items.length) return;
+
+      const link = siteURL + posixPath( join(this.config.root, root, '/') );
+
+      Object.entries(cfg.format || {}).forEach(([format, filename]) => {
+
+        const slug = posixPath( join(root, filename || '') ).replace(/^\/+/, '');
+        if (!filename || !generator[format] || files.has(slug)) return;
+
+        // content file takes precedence
+        if (tacs.all.has(slug)) {
+          if (this.config.logLevel > 1) concol.warn(`feed not generated - slug already in use: ${ slug }`);
+          return;
+        }
+
+        files.set(slug, generator[format]({
+          title,
+          description,
+          link,
+          feedLink: siteURL + posixPath( join(this.config.root, slug) ),
+          updated: items.reduce((max, d) => ((d.modified || d.date) > max ? (d.modified || d.date) : max), items[0].date),
+          items: items.map(feedItem)
+        }));
+
+      });
+
+    };
+
+    // whole site for each locale
+    const i18n = this.#i18n();
+    if (cfg.site) (i18n ? [...tacs.locale.values()] : [{ root: '' }]).forEach(locale => {
+
+      const
+        rootPage = tacs.all.get( posixPath( join(locale.root, indexFn) ) ),
+        title = (!locale.root && cfg.title) || rootPage?.title || cfg.title || '',
+        description = (!locale.root && cfg.description) || rootPage?.description || cfg.description || '';
+
+      addFeed(locale.root, title, description, [...tacs.all.values()].filter(data => !i18n || data.lang === locale.lang));
+
+    });
+
+    // directories
+    if (cfg.dir) tacs.dir.forEach((list, dir) => {
+
+      if (!selected(cfg.dir, dir)) return;
+      const rootPage = tacs.all.get(dir + '/' + indexFn);
+      addFeed(dir, rootPage?.title || properCase(dir.split('/').pop()), rootPage?.description || '', list);
+
+    });
+
+    // tags for each locale
+    if (cfg.tag) (i18n ? [...tacs.locale.values()] : [tacs]).forEach(({ tag, tagList }) => tagList.forEach(t => {
+
+      if (!selected(cfg.tag, t.ref)) return;
+      addFeed(dirname(t.slug), t.tag, '', tag.get(t.ref));
+
+    }));
+
+    // groups
+    if (cfg.group) tacs.group.forEach((list, groupName) => {
+
+      if (!selected(cfg.group, groupName)) return;
+      const root = this.config.groupPages?.list?.[groupName]?.root;
+      addFeed(typeof root === 'string' ? root : normalize(groupName), groupName, '', list);
+
+    });
+
+    return files;
+
+  }
+
+
+  // generate redirect pages and server files from the redirect map and page aliases
+  // returns a Map of slug => content
+  #redirects() {
 
-        data.groups.forEach(groupName => {
+    const
+      files = new Map(),
+      cfg = this.config.redirect || {},
+      siteURL = (this.config.siteURL || '').replace(/\/+$/, ''),
+      reIndexFn = new RegExp(this.config.indexFilename.replace(/\./g, '\\.') + '$'),
+      isURL = url => /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(url),
+      list = [],
+      used = new Map();
 
-          const groupSet = tacs.group.get( groupName ) || [];
-          groupSet.push( data );
-          tacs.group.set(groupName, groupSet);
+    // add a redirect from a path relative to the root
+    const add = (from, to, source) => {
 
-        });
+      const slug = redirectSlug(from, this.config.indexFilename);
 
+      if (tacs.all.has(slug)) {
+        concol.error(`redirect from ${ source } uses the same slug as a page: ${ slug }`);
+        process.exit(1);
       }
 
-      // handle directories
-      const dir = data.directory;
-      if (
-        data.link !== '/' &&
-        data.slug !== dir + '/' + this.config.indexFilename &&
-        data.index !== false
-      ) {
+      if (used.has(slug)) {
+        concol.error(`same redirect slug used in multiple places: ${ slug } (${ used.get(slug) }, ${ source })`);
+        process.exit(1);
+      }
 
-        const dirSet = tacs.dir.get( dir ) || [];
-        dirSet.push( data );
-        tacs.dir.set(dir, dirSet);
+      used.set(slug, source);
+      to = isURL(to) || to.startsWith('/') ? to : posixPath( join(this.config.root, to) );
+      list.push({ slug, from: posixPath( join(this.config.root, slug) ).replace(reIndexFn, ''), to, status: cfg.status || 301 });
 
-      }
+    };
 
-      // handle tags
-      if (this.config.tagPages && data.tags) data.tags.forEach(t => {
+    cfg.map?.forEach((to, from) => add(String(from), String(to), 'redirect.map'));
 
-        const tagSet = tacs.tag.get( t.ref ) || [];
-        tagSet.push( data );
-        tacs.tag.set(t.ref, tagSet);
+    tacs.all.forEach(data => {
 
-      });
+      [ data.aliases, data.redirectFrom ].forEach(alias => {
 
-      // pass to TACS
-      if (tacs.all.has(data.slug)) {
-        concol.error(`same slug used in multiple places: ${ data.slug }`);
-        process.exit(1);
-      }
+        if (!alias) return;
+        (Array.isArray(alias) ? alias : String(alias).split(','))
+          .map(a => String(a ?? '').trim())
+          .filter(a => a)
+          .forEach(a => add(a, data.link, data.filename || data.slug));
 
-      tacs.all.set(data.slug, data);
+      });
 
     });
 
-    // group pages (overrides directory and tag pages)
-    if (this.config.groupPages && tacs.group.size) {
-
-      const paginateRoots = new Set();
-      tacs.group.forEach((list, groupName) => {
+    if (!list.length) return files;
 
-        const
-          cfgDefault = this.config.groupPages,
-          cfg = this.config.groupPages?.list?.[groupName],
-          sB = cfg?.sortBy || cfgDefault?.sortBy || 'date',
-          sD = cfg?.sortOrder || cfgDefault?.sortOrder || -1;
+    // meta refresh pages
+    if (cfg.html) list.forEach(r => files.set(r.slug, redirectHTML(r.to, siteURL && !isURL(r.to) ? siteURL + r.to : r.to)));
 
-        // sort pages
-        list.sort( (a, b) => sD * (a[ sB ] - b[ sB ]) );
-        tacs.group.set(groupName, list);
+    // server redirect files
+    [[ cfg.netlify, redirectNetlify ], [ cfg.nginx, redirectNginx ]].forEach(([filename, generator]) => {
 
-        // paginate
-        if (list.length && cfg && typeof cfg.root === 'string') {
+      if (!filename) return;
+      const slug = posixPath( String(filename) ).replace(/^\/+/, '');
 
-          // get root slug and page
-          const root = cfg.root || '';
-          if (paginateRoots.has(root)) {
-            concol.error(`group paginate root used by multiple groups: ${ root }`);
-            process.exit(1);
-          }
-          paginateRoots.add(root);
+      // content file takes precedence
+      if (tacs.all.has(slug)) {
+        if (this.config.logLevel > 1) concol.warn(`redirect file not generated - slug already in use: ${ slug }`);
+        return;
+      }
 
-          const rPage = dirname(
-            join(
-              posixPath( root ).replace(/\/+$/, '').replace(/^\/+/, ''),
-              this.config.indexFilename
-            )
-          ).replace(/^[.|/]*/, '');
+      files.set(slug, generator(list));
 
-          const rootPage = tacs.all.get( join(rPage, this.config.indexFilename) );
+    });
 
-          // paginate
-          this.#paginate(
-            new Map([[ rPage, list ]]),
-            cfg.size || cfgDefault?.size || Infinity,
-            '',
-            cfg.template || cfgDefault?.template || this.config.defaultHTMLTemplate
-          ).forEach((fInfo, slug) => {
+    return files;
 
-            fInfo.isGroupIndex = groupName;
-            fInfo.title = rootPage?.title || properCase(groupName);
-            fInfo.description = rootPage?.description || fInfo.title;
-            fInfo.index = cfg.index || cfgDefault?.index || false;
+  }
 
-            tacs.all.set(slug, Object.assign(fInfo, tacs.all.get(slug) || {}));
 
-          });
+  // generate client-side search indexes for the site (or each locale)
+  // returns a Map of slug => JSON index
+  #search() {
 
-        }
+    const
+      files = new Map(),
+      cfg = this.config.search,
+      fields = cfg.fields || {},
+      i18n = this.#i18n(),
+      linkClass = this.config.headingAnchor?.linkClass?.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+      reHeadLink = linkClass && new RegExp(`<a\\b[^>]*\\sclass=["']?${ linkClass }["'\\s>][^>]*>[\\s\\S]*?<\\/a>`, 'gi');
 
-      });
+    // convert page to search documents
+    const pageDocs = data => {
 
-    }
+      const
+        page = {
+          title: data.title || '',
+          description: data.description || '',
+          tags: data.tags?.map(t => t.tag).join(' ') || ''
+        },
+        html = reHeadLink ? String(data.contentRendered || '').replace(reHeadLink, '') : data.contentRendered;
+
+      if (!cfg.chunk) return [{
+        link: data.link,
+        title: page.title,
+        description: page.description,
+        fields: { ...page, content: htmlText(html) }
+      }];
+
+      // one document per section: the intro also indexes page fields
+      return htmlSections(html).map(({ id, heading, html }, idx) => ({
+        link: data.link + (id ? '#' + id : ''),
+        title: page.title,
+        section: heading,
+        description: idx ? '' : page.description,
+        fields: { ...(idx ? {} : page), heading, content: htmlText(html) }
+      }));
 
-    // directory pages
-    if (this.config.dirPages) {
+    };
 
-      tacs.dir.forEach((list, dir) => {
+    (i18n ? [...tacs.locale.values()] : [{ root: '' }]).forEach(locale => {
 
-        const
-          sB = this.config.dirPages.dir?.[dir]?.sortBy || this.config.dirPages.sortBy || 'priority',
-          sD = this.config.dirPages.dir?.[dir]?.sortOrder || this.config.dirPages.sortOrder || -1;
+      const slug = posixPath( join(locale.root, cfg.filename || 'search.json') ).replace(/^\/+/, '');
 
-        // sort by factor then date
-        list.sort( (a, b) => {
-          let s = sD * (a[ sB ] == b[ sB ] ? 0 : a[ sB ] > b[ sB ] ? 1 : -1);
-          if (!s) s = b.date - a.date;
-          return s;
-        } );
+      // content file takes precedence
+      if (tacs.all.has(slug)) {
+        if (this.config.logLevel > 1) concol.warn(`search index not generated - slug already in use: ${ slug }`);
+        return;
+      }
 
-        tacs.dir.set(dir, list);
+      const docs = [...tacs.all.values()]
+        .filter(data =>
+          data.isHTML && !data.pagination && data.publish !== false && data.index !== false && data.search !== false &&
+          (!i18n || data.lang === locale.lang)
+        )
+        .sort((a, b) => (a.link > b.link ? 1 : a.link < b.link ? -1 : 0))
+        .flatMap(pageDocs);
 
-        // next and back articles
-        for (let a = 0; a < list.length; a++) {
-          const data = list[a];
-          data.postback = a > 0 ? list[a - 1] : null;
-          data.postnext = a < list.length - 1 ? list[a + 1] : null;
-        }
+      files.set(slug, JSON.stringify(searchIndex(docs, {
+        weights: fields,
+        stopWords: cfg.stopWords,
+        minLength: cfg.minLength
+      })));
 
-      });
+    });
 
-      // paginate
-      this.#paginate(
-        tacs.dir,
-        this.config.dirPages.size || Infinity,
-        '',
-        this.config.dirPages.template
-      ).forEach((fInfo, slug) => {
+    return files;
 
-        const rootPage = tacs.all.get( fInfo.directory + '/' + this.config.indexFilename );
-        fInfo.isDirIndex = rootPage?.title || properCase(fInfo.directory);
-        fInfo.title = fInfo.isDirIndex;
-        fInfo.description = rootPage?.description || fInfo.title;
-        fInfo.index = this.config.dirPages.index || false;
+  }
 
-        tacs.all.set(slug, Object.assign(fInfo, tacs.all.get(slug) || {}));
 
-      });
+  // copy pass-though files
+  async #copyPassThrough() {
 
-    }
+    perf.mark('copy passThrough files');
 
-    // tag pages
-    if (this.config.tagPages) {
+    this.#passThroughFiles.clear();
 
-      const sB = this.config.tagPages.sortBy || 'date', sD = this.config.tagPages.sortOrder || -1;
+    await Promise.allSettled(
+      [...this.config.passThrough].map( async pt => {
 
-      // sort pages
-      tacs.tag.forEach((list, ref) => {
+        const dest = join(this.config.dir.build, pt.to);
+        await cp(pt.from, dest, { recursive: true, force: true } );
 
-        list.sort( (a, b) => sD * (a[ sB ] - b[ sB ]) );
-        tacs.tag.set(ref, list);
+        // record copied files
+        (await fileList(pt.from)).forEach(f => {
+          this.#passThroughFiles.add( posixPath( relative(this.config.dir.build, join(dest, f)) ) );
+        });
 
-        // get top article information
-        const t = list[0].tags.find(t => t.ref === ref);
-        tacs.tagList.push({ tag: t.tag, ref, link: t.link, slug: t.slug, count: list.length });
-        tagName.set(ref, t.tag);
+      })
+    );
 
-      });
+    // fingerprint copied files
+    this.#assets.clear();
+    await this.#fingerprintPassThrough([...this.#passThroughFiles]);
 
-      // sort tag list by frequency
-      tacs.tagList.sort((a, b) => b.count - a.count);
+    perf.mark('copy passThrough files');
 
-      // paginate
-      this.#paginate(
-        tacs.tag,
-        this.config.tagPages.size || Infinity,
-        this.config.tagPages.root || '',
-        this.config.tagPages.template
-      ).forEach((fInfo, slug) => {
+  }
 
-        fInfo.isTagIndex = tagName.get( fInfo.name );
-        fInfo.title = fInfo.isTagIndex;
-        fInfo.description = fInfo.isTagIndex;
-        fInfo.menu = this.config.tagPages.menu;
-        fInfo.index = this.config.tagPages.index || false;
 
-        tacs.all.set(slug, Object.assign(fInfo, tacs.all.get(slug) || {}));
+  // copy or delete changed pass-through files
+  // changes is an array of [ passThrough, [ changed file names ] ]
+  // returns an array of changed build file paths
+  async #copyPassThroughChanges(changes) {
 
-      });
+    if (!changes.length) return [];
 
-    }
+    perf.mark('copy passThrough files');
 
-    // create navigation menu object from slugs
-    const nav = {};
-    tacs.all.forEach(data => {
+    const changed = [], removed = [];
 
-      if ((!data.isHTML && !data.isIndexPage) || data.pagination?.pageCurrent) return;
+    await Promise.allSettled(
+      changes.flatMap(([pt, files]) => files.map(async fn => {
 
-      const sPath = data.slug.split('/');
-      if (sPath.length === 1) sPath.unshift('/');
+        const
+          src = join(pt.from, fn || ''),
+          dest = join(this.config.dir.build, pt.to, fn || ''),
+          info = await fileInfo(src),
+          list = (info.isDir ? await fileList(src) : ['']).map(f => posixPath( relative(this.config.dir.build, join(dest, f)) ));
 
-      let navMap = nav;
-      while (sPath.length) {
+        if (info.exists) {
 
-        const p = sPath.shift();
+          // copy file or directory
+          await mkdir(dirname(dest), { recursive: true });
+          await cp(src, dest, { recursive: true, force: true });
+          list.forEach(f => this.#passThroughFiles.add(f));
 
-        if (p === this.config.indexFilename) {
-          navMap.data = data;
         }
+        else {
+
+          // remove deleted file or directory
+          await rm(dest, { recursive: true, force: true });
+          [...this.#passThroughFiles].forEach(f => {
+            if (f === list[0] || f.startsWith(list[0] + '/')) {
+              this.#passThroughFiles.delete(f);
+              removed.push(f);
+            }
+          });
 
-        if (sPath.length) {
-          navMap[p] = navMap[p] || { data: {}, children: {} };
-          navMap = navMap[p];
-          if (sPath.length > 1) {
-            navMap = navMap.children;
-          }
         }
 
-      }
+        changed.push(...list);
 
+      }))
+    );
+
+    // update fingerprinted copies
+    removed.forEach(f => {
+      if (this.#assets.has(f)) this.#assetsOld.add( this.#assets.get(f) );
+      this.#passThroughFiles.delete( this.#assets.get(f) );
+      this.#assets.delete(f);
     });
 
-    // convert nav objects to arrays and sort
-    const dP = this.config.dirPages;
+    await this.#fingerprintPassThrough( changed.filter(f => this.#passThroughFiles.has(f)) );
 
-    tacs.nav = this.config.nav ? recurseNav(nav) : [];
-    function recurseNav(obj, dir) {
+    perf.mark('copy passThrough files');
 
-      const ret = Object.values(obj);
+    return changed;
 
-      // use first child filename if directory does not exist
-      ret.forEach(d => {
-        if (d.data.filename) return;
+  }
 
-        const key = Object.keys(d.children);
-        if (key.length) {
-          d.data.filename = d.children[key[0]].data.filename;
-        }
 
-      });
+  // write fingerprinted copies of pass-through build files
+  // CSS files are processed last so url() references resolve to hashed names
+  async #fingerprintPassThrough(slugs) {
 
-      // sort menu items
-      const
-        sB = (dir && dP.dir?.[dir]?.sortBy) || dP?.sortBy || 'priority',
-        sD = (dir && dP.dir?.[dir]?.sortOrder) || dP.sortOrder || -1;
+    const fp = this.config.fingerprint;
+    if (!fp?.enabled) return;
 
-      ret.sort( (a, b) => {
-        let s = sD * (a.data[ sB ] == b.data[ sB ] ? 0 : a.data[ sB ] > b.data[ sB ] ? 1 : -1);
-        if (!s) s = b.data.date - a.data.date;
-        return s;
-      });
+    const
+      isCSS = f => extname(f).toLowerCase() === '.css',
+      match = slugs.filter(f => !fp.match || f.match(fp.match)),
+      css = new Set([ ...match, ...this.#assets.keys() ].filter(f => isCSS(f) && this.#passThroughFiles.has(f)));
 
-      // recurse child pages
-      ret.forEach(n => {
-        n.children = recurseNav( n.children, n.data.directory );
-      });
+    await Promise.allSettled( match.filter(f => !isCSS(f)).map(f => this.#fingerprint(f)) );
+    await Promise.allSettled( [...css].map(f => this.#fingerprint(f)) );
 
-      return ret;
-    }
+  }
 
-    // render content in renderPriority order
-    const
-      write = [],
-      navHeadingTag = '</' + (this.config?.headingAnchor?.tag || 'nav-heading') + '>',
-      allByPriority = Array.from(tacs.all, ([, data]) => data).sort((a, b) => b.renderPriority - a.renderPriority);
 
-    // custom processing: processRenderStart hook
-    this.config.processRenderStart.forEach(fn => fn(tacs));
+  // write a content-hashed copy of a pass-through build file
+  async #fingerprint(slug) {
 
-    allByPriority.forEach(data => {
+    const build = this.config.dir.build;
+    let content = await readFile( join(build, slug) );
 
-      // custom processing: processPreRender hook
-      this.config.processPreRender.forEach(fn => fn(data, tacs));
+    if (extname(slug).toLowerCase() === '.css') content = this.#assetCSS(String(content), slug);
 
-      // render content only
-      let
-        content = templateParse(data.content, data),
-        contentNav = '';
+    const hashed = hashName(slug, content, this.config.fingerprint.length);
+    await writeFile(join(build, hashed), content);
 
-      // content anchors
-      if (this.config.headingAnchor && data.isHTML) {
-        const nav = navHeading(content, this.config.headingAnchor);
-        content = nav.content;
-        contentNav = nav.navHeading;
-      }
+    this.#passThroughFiles.delete( this.#assets.get(slug) );
+    this.#passThroughFiles.add(hashed);
+    this.#assetSet(slug, hashed);
 
-      // add !{ strings back
-      const useTemplate = data.template || ((data.isIndexPage || data.isHTML) && this.config.defaultHTMLTemplate);
-      if (useTemplate) {
+  }
 
-        content = content.replace(/\$\{/g, '!{');
 
-        // rendered content (for feeds) with custom replacements
-        data.contentRendered = strReplacer( content, this.config?.replace );
+  // set the fingerprinted name of an asset and record a superseded name for removal
+  #assetSet(slug, hashed) {
 
-      }
-      else {
+    const old = this.#assets.get(slug);
+    if (old && old !== hashed) this.#assetsOld.add(old);
+    this.#assets.set(slug, hashed);
 
-        // custom replacements
-        content = strReplacer( content, this.config?.replace );
+  }
 
-        // store rendered content (for feeds)
-        data.contentRendered = content;
 
-      }
+  // rewrite CSS url() references to fingerprinted assets
+  #assetCSS(css, slug) {
 
-      // render in template
-      if (useTemplate) {
+    return cssURLs(css, url => assetURL(url, this.#assets, this.config.root, posix.dirname(slug)));
 
-        const contentOrig = data.content;
-        data.content = content;
+  }
 
-        content = strReplacer(
-          templateParse( templateMap.get(useTemplate), data ),
-          this.config?.replace
-        );
 
-        data.content = contentOrig;
+  // check internal links and #fragments in rendered HTML pages
+  // the initial build fails when linkCheck is 'error'
+  #linkCheck(initialBuild) {
 
-      }
+    const mode = this.config.linkCheck;
+    if (!mode) return;
 
-      // replace navigation heading
-      if (contentNav) {
-        content = content.replaceAll(navHeadingTag, contentNav + navHeadingTag);
-        data.contentRendered = data.contentRendered.replaceAll(navHeadingTag, contentNav + navHeadingTag);
-      }
+    perf.mark('check links');
 
-      // replace backticks in JS
-      if (data.isJS) {
-        content = content.replaceAll(Publican.#jsBackTick, '`');
-        data.contentRendered = data.contentRendered.replaceAll(Publican.#jsBackTick, '`');
-      }
+    const
+      root = posixPath( join('/', this.config.root, '/') ),
+      indexFn = this.config.indexFilename,
+      exists = slug => this.#built.has(slug) || this.#passThroughFiles.has(slug),
+      report = [];
 
-      // custom processing: processPostRender hook
-      this.config.processPostRender.forEach(fn => { content = fn(content, data, tacs); });
+    this.#links.forEach((page, slug) => {
 
-      // minify
-      if (data.isXML) content = minifySimple(content);
-      if (data.isHTML && this.config?.minify?.enabled) content = minifyFull(content, this.config.minify);
+      const base = 'http://localhost' + root + slug;
 
-      // hash check and flag for file write
-      const slug = data.slug, hash = strHash(content);
+      page.links.forEach(link => {
 
-      // slug error - cannot navigate to parent using '..'
-      if (slug.includes('..')) {
-        concol.error(`slug cannot include parent directory .. reference: ${ slug }`);
-        process.exit(1);
-      }
+        // ignore external, protocol, and unrendered expression links
+        if (!link || /^(?:[a-z][a-z\d+.-]*:|\/\/|[$!]\{)/i.test(link)) return;
+
+        let url, path, fragment;
+        try {
+          url = new URL(link, base);
+          path = decodeURIComponent(url.pathname);
+          fragment = decodeURIComponent(url.hash.slice(1));
+        }
+        catch {
+          report.push(`${ page.filename }: ${ link } (invalid URL)`);
+          return;
+        }
 
-      if (this.#writeHash.get(slug) !== hash) {
+        // ignore links outside root
+        if (!path.startsWith(root)) return;
 
-        this.#writeHash.set(slug, hash);
-        write.push({ slug, content });
+        // find target file
+        const
+          rel = path.slice(root.length),
+          target = (!rel || rel.endsWith('/') ? [ rel + indexFn ] : [ rel, rel + '/' + indexFn ]).find(exists);
 
-      }
+        if (!target) report.push(`${ page.filename }: ${ link } (file not found)`);
+        else if (fragment && fragment !== 'top' && this.#links.has(target) && !this.#links.get(target).ids.has(fragment)) {
+          report.push(`${ page.filename }: ${ link } (#${ fragment } not found)`);
+        }
+
+      });
 
     });
 
-    perf.mark('render web files');
-    perf.mark('write web files');
+    perf.mark('check links');
 
-    // write content to changed files
-    await Promise.allSettled(
-      write.map(async f => {
+    if (!report.length) return;
 
-        const
-          permaPath = join(this.config.dir.build, f.slug),
-          permaDir = dirname(permaPath);
+    const msg = `broken internal links: ${ report.length }\n${ report.join('\n') }`;
 
-        // create files
-        await mkdir(permaDir, { recursive: true });
-        await writeFile(permaPath, f.content);
+    if (mode === 'error' && initialBuild) {
+      concol.error(msg);
+      process.exit(1);
+    }
 
-      })
-    );
+    if (this.config.logLevel) concol.warn(msg);
 
-    // custom processing: processRenderEnd hook
-    this.config.processRenderEnd.forEach(fn => fn(write, tacs));
+  }
 
-    perf.mark('write web files');
 
-    return write.length;
+  // remove build files and empty directories which are no longer produced
+  // returns the number of files removed
+  async #pruneBuild() {
 
-  }
+    const prune = this.config.pruneBuild;
+    if (!prune) return 0;
 
+    perf.mark('prune build files');
 
-  // copy pass-though files
-  async #copyPassThrough() {
+    const
+      build = this.config.dir.build,
+      remove = (await fileList(build)).filter(f => !this.#built.has(f) && !this.#passThroughFiles.has(f));
 
-    perf.mark('copy passThrough files');
+    // list files only
+    if (prune === 'dryrun') {
 
-    await Promise.allSettled(
-      [...this.config.passThrough].map( pt => cp(pt.from, join(this.config.dir.build, pt.to), { recursive: true, force: true } ))
-    );
+      if (remove.length && this.config.logLevel) concol.info(`build files to prune:\n${ remove.join('\n') }`);
+      perf.mark('prune build files');
+      return 0;
 
-    perf.mark('copy passThrough files');
+    }
+
+    await Promise.allSettled( remove.map(f => rm( join(build, f), { force: true } )) );
+
+    // remove empty directories, deepest first
+    const dirs = [...new Set( remove.map(f => dirname(f)).filter(d => d !== '.') )];
+    dirs.forEach(d => {
+      while ((d = dirname(d)) !== '.') dirs.push(d);
+    });
+
+    for (const d of [...new Set(dirs)].sort((a, b) => b.split('/').length - a.split('/').length)) {
+      try {
+        await rmdir( join(build, d) );
+      }
+      catch {
+        // directory not empty
+      }
+    }
+
+    perf.mark('prune build files');
+
+    return remove.length;
 
   }
 
 
   // paginate page lists
-  #paginate(map, size, root, template) {
+  // pageDir is an optional sub-directory for pages after the first
+  #paginate(map, size, root, template, pageDir = '') {
 
     const pages = new Map();
 
@@ -1017,19 +3023,22 @@ export class Publican {
 
       const
         pageItem = chunk( list, size ),
-        pageTotal = pageItem.length;
+        pageTotal = pageItem.length,
+        pagePath = idx => join(root, name, idx ? join(pageDir, String(idx)) : '');
 
       for (let p = 0; p < pageTotal; p++) {
 
         const
-          slug = posixPath( join(root, name, String(p ? p : ''), '/' + this.config.indexFilename) ).replace(/^\/+/, ''),
-          reIndexFn = new RegExp(this.config.indexFilename.replace(/\./g, '\\.') + '$');
+          slug = posixPath( join(pagePath(p), '/' + this.config.indexFilename) ).replace(/^\/+/, ''),
+          reIndexFn = new RegExp(this.config.indexFilename.replace(/\./g, '\\.') + '$'),
+          lang = this.#pageLang(slug, list[0].lang);
 
         pages.set(slug, {
           name,
           slug,
           link: posixPath( join(this.config.root, slug) ).replace(reIndexFn, ''),
-          directory: posixPath( dirname(slug) ).replace(/\/.*$/, ''),
+          directory: this.#directory(slug, lang),
+          ...(lang ? { lang } : {}),
           date: this.#now,
           isIndexPage: true,
           isHTML: true,
@@ -1044,9 +3053,9 @@ export class Publican {
             pageCurrent1: p + 1,
             subpageFrom1: (p * size) + 1,
             subpageTo1: Math.min(childPageTotal, (p + 1) * size),
-            hrefBack: p > 0 ? posixPath( join(this.config.root, root, name, String(p > 1 ? p - 1 : ''), '/') ) : null,
-            hrefNext: p + 1 < pageTotal ? posixPath( join(this.config.root, root, name, String(p + 1), '/') ) : null,
-            href: Array(pageTotal).fill(null).map((e, idx) => posixPath( join(this.config.root, root, name, String(idx ? idx : ''), '/') ) )
+            hrefBack: p > 0 ? posixPath( join(this.config.root, pagePath(p - 1), '/') ) : null,
+            hrefNext: p + 1 < pageTotal ? posixPath( join(this.config.root, pagePath(p + 1), '/') ) : null,
+            href: Array(pageTotal).fill(null).map((e, idx) => posixPath( join(this.config.root, pagePath(idx), '/') ) )
           }
         });
 
@@ -0,0 +1,127 @@
+import { testSite } from './site.js';
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+// dated posts and undated pages
+const files = {
+  'template/default.html': '${ data.content }',
+  'template/archive.html': '${ data.isArchiveIndex }:${ data.title }|${ data.pagination.page.map(p => p.title).join() }|${ data.pagination.hrefNext || \'\' }',
+  'content/index.md': '---\ntitle: Home\ndate: 2025-01-01\n---\nHome',
+  'content/about.md': '---\ntitle: About\n---\nAbout',
+  'content/post/index.md': '---\ntitle: Posts\ndate: 2025-01-01\n---\nPosts',
+  'content/post/a.md': '---\ntitle: A\ndate: 2024-12-31\n---\nA',
+  'content/post/b.md': '---\ntitle: B\ndate: 2025-01-05\n---\nB',
+  'content/post/c.md': '---\ntitle: C\ndate: 2025-01-20\n---\nC',
+  'content/post/d.md': '---\ntitle: D\ndate: 2025-03-02\n---\nD',
+  'content/post/e.md': '---\ntitle: E\ndate: 2025-03-09\n---\nE'
+};
+
+
+describe('publican.js/archive pages'.padEnd( padDefault + 2 ), () => {
+
+  let site, build;
+
+  before(async () => {
+
+    site = await testSite({
+      ...files,
+      'content/fr/post/f.md': '---\ntitle: F\ndate: 2025-02-14\n---\nF'
+    });
+
+    // build and return files and tacs.archive by locale
+    build = async (dir, archivePages, i18n) => {
+
+      let archive;
+      const publican = site.publican(dir);
+      publican.config.archivePages = { template: 'archive.html', ...archivePages };
+      if (i18n) publican.config.i18n.locales = i18n;
+      publican.config.processRenderStart.add(tacs => {
+        archive = i18n ? new Map( [...tacs.locale].map(([lang, l]) => [ lang, l.archive ]) ) : tacs.archive;
+      });
+
+      await publican.build();
+      return { files: await site.files(dir), archive };
+
+    };
+
+  });
+
+  after(() => site.remove());
+
+  it('year and month pages'.padEnd( padDefault ), async () => {
+
+    const { files } = await build('build-month', { root: 'archive', month: true });
+
+    [
+      { slug: 'archive/2024/index.html', out: 'year:2024|A|' },
+      { slug: 'archive/2025/index.html', out: 'year:2025|E,D,F,C,B|' },
+      { slug: 'archive/2024/12/index.html', out: 'month:December 2024|A|' },
+      { slug: 'archive/2025/01/index.html', out: 'month:January 2025|C,B|' },
+      { slug: 'archive/2025/02/index.html', out: 'month:February 2025|F|' },
+      { slug: 'archive/2025/03/index.html', out: 'month:March 2025|E,D|' },
+      { slug: 'archive/2025/01/05/index.html', out: undefined },
+    ].forEach(set => assert.strictEqual(files.get(set.slug), set.out, set.slug));
+
+  });
+
+  it('day pages sorted by title'.padEnd( padDefault ), async () => {
+
+    const { files } = await build('build-day', { day: true, sortBy: 'title', sortOrder: 1 });
+
+    [
+      { slug: '2025/index.html', out: 'year:2025|B,C,D,E,F|' },
+      { slug: '2025/03/index.html', out: undefined },
+      { slug: '2025/03/02/index.html', out: 'day:March 2, 2025|D|' },
+      { slug: '2025/03/09/index.html', out: 'day:March 9, 2025|E|' },
+      { slug: '2025/01/20/index.html', out: 'day:January 20, 2025|C|' },
+    ].forEach(set => assert.strictEqual(files.get(set.slug), set.out, set.slug));
+
+  });
+
+  it('paginated archive pages'.padEnd( padDefault ), async () => {
+
+    const { files } = await build('build-page', { month: true, size: 2 });
+
+    [
+      { slug: '2025/index.html', out: 'year:2025|E,D|/2025/1/' },
+      { slug: '2025/1/index.html', out: 'year:2025|F,C|/2025/2/' },
+      { slug: '2025/2/index.html', out: 'year:2025|B|' },
+      { slug: '2025/01/index.html', out: 'month:January 2025|C,B|' },
+    ].forEach(set => assert.strictEqual(files.get(set.slug), set.out, set.slug));
+
+  });
+
+  it('tacs.archive years and months'.padEnd( padDefault ), async () => {
+
+    const
+      { archive } = await build('build-tacs', { month: true }),
+      y2025 = archive.get(2025);
+
+    assert.deepStrictEqual([...archive.keys()], [ 2025, 2024 ]);
+    assert.strictEqual(y2025.count, 5);
+    assert.strictEqual(y2025.link, '/2025/');
+    assert.deepStrictEqual([...y2025.months].map(([m, e]) => `${ m }:${ e.count }:${ e.link }`), [ '3:2:/2025/03/', '2:1:/2025/02/', '1:2:/2025/01/' ]);
+    assert.strictEqual(y2025.months.get(1).days.get(20).posts[0].title, 'C');
+
+  });
+
+  it('archive pages for each locale'.padEnd( padDefault ), async () => {
+
+    const { files, archive } = await build('build-locale', { month: true }, [ 'en', 'fr' ]);
+
+    [
+      { slug: '2025/index.html', out: 'year:2025|E,D,C,B|' },
+      { slug: '2025/02/index.html', out: undefined },
+      { slug: 'fr/2025/index.html', out: 'year:2025|F|' },
+      { slug: 'fr/2025/02/index.html', out: 'month:février 2025|F|' },
+    ].forEach(set => assert.strictEqual(files.get(set.slug), set.out, set.slug));
+
+    assert.deepStrictEqual([...archive.get('en').keys()], [ 2025, 2024 ]);
+    assert.strictEqual(archive.get('fr').get(2025).link, '/fr/2025/');
+
+  });
+
+});
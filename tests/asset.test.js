@@ -0,0 +1,80 @@
+import { hashName, cssURLs, assetURL } from '../lib/asset.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('asset.js/hashName function'.padEnd( padDefault + 2 ), () => {
+
+  [
+    { in: ['css/main.css', 'body{}', 8], out: /^css\/main\.[0-9a-f]{8}\.css$/ },
+    { in: ['logo.png', 'PNG', 6], out: /^logo\.[0-9a-f]{6}\.png$/ },
+    { in: ['a/b/c.min.js', 'x', 2], out: /^a\/b\/c\.min\.[0-9a-f]{4}\.js$/ },
+  ].forEach((set, idx) => {
+
+    it(
+      `hashName test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.match(hashName( ...set.in ), set.out)
+    );
+
+  });
+
+  it(
+    'hashName content change'.padEnd( padDefault ),
+    () => {
+      assert.strictEqual(hashName('a.css', 'x'), hashName('a.css', 'x'));
+      assert.notStrictEqual(hashName('a.css', 'x'), hashName('a.css', 'y'));
+    }
+  );
+
+});
+
+
+describe('asset.js/cssURLs function'.padEnd( padDefault + 2 ), () => {
+
+  [
+    { in: 'a{background:url(img/a.png)}', out: 'a{background:url(IMG/A.PNG)}' },
+    { in: 'a{background:url( "img/a.png" )}', out: 'a{background:url("IMG/A.PNG")}' },
+    { in: '@font-face{src:url(\'f.woff2\') format("woff2"),url(f.woff)}', out: '@font-face{src:url(\'F.WOFF2\') format("woff2"),url(F.WOFF)}' },
+  ].forEach((set, idx) => {
+
+    it(
+      `cssURLs test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.strictEqual(cssURLs( set.in, url => url.toUpperCase() ), set.out)
+    );
+
+  });
+
+});
+
+
+describe('asset.js/assetURL function'.padEnd( padDefault + 2 ), () => {
+
+  const manifest = new Map([
+    [ 'css/main.css', 'css/main.abc123.css' ],
+    [ 'img/logo.png', 'img/logo.def456.png' ],
+  ]);
+
+  [
+    { in: ['/css/main.css', manifest], out: '/css/main.abc123.css' },
+    { in: ['css/main.css', manifest], out: '/css/main.abc123.css' },
+    { in: ['/img/logo.png?v=1#x', manifest], out: '/img/logo.def456.png?v=1#x' },
+    { in: ['/blog/img/logo.png', manifest, '/blog/'], out: '/blog/img/logo.def456.png' },
+    { in: ['/img/logo.png', manifest, '/blog/'], out: '/img/logo.png' },
+    { in: ['../img/logo.png', manifest, '/', 'css'], out: '../img/logo.def456.png' },
+    { in: ['img/logo.png', manifest, '/', '.'], out: 'img/logo.def456.png' },
+    { in: ['/missing.png', manifest], out: '/missing.png' },
+    { in: ['https://example.com/img/logo.png', manifest], out: 'https://example.com/img/logo.png' },
+    { in: ['data:image/png;base64,AA==', manifest], out: 'data:image/png;base64,AA==' },
+    { in: ['/css/main.css', new Map()], out: '/css/main.css' },
+  ].forEach((set, idx) => {
+
+    it(
+      `assetURL test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.strictEqual(assetURL( ...set.in ), set.out)
+    );
+
+  });
+
+});
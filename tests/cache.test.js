@@ -0,0 +1,96 @@
+import { testSite } from './site.js';
+
+import { join } from 'node:path';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+// markdown conversion and front matter parser counts
+const count = { markdown: 0, parse: 0 };
+
+function countMarkdown(md) {
+  md.core.ruler.push('count', () => { count.markdown++; });
+}
+
+function countParse(fm) {
+  count.parse++;
+  return Object.fromEntries( fm.split('\n').filter(l => l.includes(':')).map(l => l.split(':').map(s => s.trim())) );
+}
+
+
+describe('publican.js/build cache'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '<h1>${ data.title }</h1><p>${ data.date instanceof Date && data.date.toISOString() }</p>${ data.content }',
+      'content/index.md': '---\ntitle: Home\ndate: 2025-01-01\n---\n# Home\n\nSome *markdown*.\n',
+      'content/about.md': '---\ntitle: About\n---\nAbout **page**.\n',
+      'content/custom.md': '@@@\ntitle: Custom\n@@@\nCustom front matter.\n',
+      'content/page.html': '<p>HTML page</p>'
+    });
+
+  });
+
+  after(() => site.remove());
+
+  // build and return the written slugs
+  const build = async (config = () => {}) => {
+
+    const publican = site.publican();
+    publican.config.cache.enabled = true;
+    publican.config.cache.dir = join(site.dir, 'cache');
+    publican.config.markdownOptions.use.add([ countMarkdown ]);
+    publican.config.frontmatterParser.set('@@@', countParse);
+    config(publican);
+
+    let written = [];
+    publican.config.processRenderEnd.add(write => { written = write.map(f => f.slug).sort(); });
+
+    count.markdown = 0;
+    count.parse = 0;
+    await publican.build();
+
+    return written;
+
+  };
+
+  it('first build converts and writes all'.padEnd( padDefault ), async () => {
+
+    assert.deepStrictEqual(await build(), [ 'about/index.html', 'custom/index.html', 'index.html', 'page/index.html' ]);
+    assert.strictEqual(count.markdown, 3);
+    assert.strictEqual(count.parse, 1);
+    assert.match(await site.read('index.html'), /<p>2025-01-01T00:00:00.000Z<\/p>/);
+
+  });
+
+  it('second build writes nothing'.padEnd( padDefault ), async () => {
+
+    assert.deepStrictEqual(await build(), []);
+    assert.strictEqual(count.markdown, 0);
+    assert.strictEqual(count.parse, 0);
+
+  });
+
+  it('changed content is converted'.padEnd( padDefault ), async () => {
+
+    await site.write('content/about.md', '---\ntitle: About us\n---\nAbout **page**.\n');
+
+    assert.deepStrictEqual(await build(), [ 'about/index.html' ]);
+    assert.strictEqual(count.markdown, 0);
+    assert.strictEqual(count.parse, 0);
+
+  });
+
+  it('changed configuration discards cache'.padEnd( padDefault ), async () => {
+
+    await build(publican => { publican.config.replace.set('Home', 'Start'); });
+    assert.strictEqual(count.markdown, 3);
+    assert.strictEqual(count.parse, 1);
+
+  });
+
+});
@@ -0,0 +1,154 @@
+import { testSite, nextRender } from './site.js';
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('publican.js/front matter values'.padEnd( padDefault + 2 ), () => {
+
+  let site, files;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.title }|${ data.date && data.date.toISOString() }|${ data.modified && data.modified.toISOString() }',
+      'content/year.md': '---\ntitle:NoSpace\ndate: 2025\nmodified: 2026\n---\nYear'
+    });
+
+    await site.publican().build();
+    files = await site.files();
+
+  });
+
+  after(() => site.remove());
+
+  it('key without a space and year dates'.padEnd( padDefault ), () => {
+    assert.strictEqual(files.get('year/index.html'), 'NoSpace|2025-01-01T00:00:00.000Z|2026-01-01T00:00:00.000Z');
+  });
+
+});
+
+
+describe('publican.js/front matter errors in watch mode'.padEnd( padDefault + 2 ), () => {
+
+  let site, publican;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.title }',
+      'content/index.md': '+++\ntitle = "Home"\n+++\nHome'
+    });
+
+    publican = site.publican();
+    publican.config.watch = true;
+    publican.config.watchDebounce = 50;
+    await publican.build();
+
+  });
+
+  after(async () => {
+
+    await publican.close();
+    await site.remove();
+
+  });
+
+  it('invalid front matter keeps the page'.padEnd( padDefault ), async t => {
+
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    let render = nextRender(publican);
+    await site.write('content/index.md', '+++\ntitle = "Ho\n+++\nHome');
+    assert.deepStrictEqual((await render).written, []);
+    assert.strictEqual(await site.read('index.html'), 'Home');
+
+    render = nextRender(publican);
+    await site.write('content/index.md', '+++\ntitle = "Home page"\n+++\nHome');
+    await render;
+    assert.strictEqual(await site.read('index.html'), 'Home page');
+
+  });
+
+});
+
+
+describe('publican.js/permalinks'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.title }',
+      'content/index.md': '---\ntitle: Home\n---\nHome',
+      'content/post/one.md': '---\ntitle: One\ndate: 2025-03-04\n---\nOne',
+      'content/post/two.md': '---\ntitle: Two Words\ndate: 2025-03-05\npermalink: /custom/:title/\n---\nTwo',
+      'content/doc/a.md': '---\ntitle: A\n---\nA',
+      'content/doc/b.html': '---\ntitle: B\n---\nB',
+      'content/fr/post/un.md': '---\ntitle: Un\ndate: 2025-01-02\n---\nUn'
+    });
+
+  });
+
+  after(() => site.remove());
+
+  // build with permalink patterns and return the build files
+  const build = async (dir, patterns, i18n) => {
+
+    const publican = site.publican(dir);
+    patterns.forEach(([glob, pattern]) => publican.config.permalink.set(glob, pattern));
+    if (i18n) publican.config.i18n.locales = i18n;
+    await publican.build();
+    return site.files(dir);
+
+  };
+
+  it('directory and glob patterns'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-glob', [
+      [ 'post/', '/blog/:year/:month/:slug/' ],
+      [ 'doc/*.md', '/docs/:filename/' ]
+    ]);
+
+    [
+      { slug: 'index.html', out: 'Home' },
+      { slug: 'blog/2025/03/one/index.html', out: 'One' },
+      { slug: 'docs/a/index.html', out: 'A' },
+      { slug: 'doc/b/index.html', out: 'B' },
+      { slug: 'post/one/index.html', out: undefined },
+    ].forEach(set => assert.strictEqual(files.get(set.slug), set.out, set.slug));
+
+  });
+
+  it('front matter permalink takes precedence'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-fm', [ [ 'post/', '/blog/:slug/' ] ]);
+
+    assert.strictEqual(files.get('custom/two-words/index.html'), 'Two Words');
+    assert.strictEqual(files.get('blog/two/index.html'), undefined);
+
+  });
+
+  it('locale prefix added'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-i18n', [ [ '**/post/*.md', '/blog/:year/:slug/' ] ], [ 'en', 'fr' ]);
+
+    assert.strictEqual(files.get('blog/2025/one/index.html'), 'One');
+    assert.strictEqual(files.get('fr/blog/2025/un/index.html'), 'Un');
+
+  });
+
+  it('duplicate slugs exit'.padEnd( padDefault ), async t => {
+
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(process, 'exit', code => { throw new Error(`exit ${ code }`); });
+
+    await assert.rejects(build('build-dup', [ [ 'doc/', '/docs/' ] ]), /exit 1/);
+
+  });
+
+});
@@ -0,0 +1,76 @@
+import { testSite, nextRender } from './site.js';
+
+import { join } from 'node:path';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('publican.js/data files'.padEnd( padDefault + 2 ), () => {
+
+  let site, publican;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ JSON.stringify(tacs.data) }',
+      'content/index.md': 'Home',
+      'data/site.json': '{ "title": "Site", "nav": "file" }',
+      'data/site/nav.json': '[ "home", "about" ]',
+      'data/site/meta/author.csv': 'name,role\nAnn,lead\n',
+      'data/list.json': '[ 1, 2 ]',
+      'data/list/extra.json': '3',
+      'data/build.js': 'export default async () => ({ year: 2025 });',
+      'data/invalid.json': '{ invalid',
+      'data/ignore.txt': 'ignored'
+    });
+
+    publican = site.publican();
+    publican.config.dir.data = join(site.dir, 'data', '/');
+    publican.config.watch = true;
+    publican.config.watchDebounce = 50;
+    await publican.build();
+
+  });
+
+  after(async () => {
+
+    await publican.close();
+    await site.remove();
+
+  });
+
+  // parsed tacs.data from the home page
+  const data = async () => JSON.parse(await site.read('index.html'));
+
+  it('JSON, CSV, and JavaScript files'.padEnd( padDefault ), async () => {
+
+    const d = await data();
+
+    assert.deepStrictEqual(d.build, { year: 2025 });
+    assert.deepStrictEqual(d.site.meta.author, [ { name: 'Ann', role: 'lead' } ]);
+    assert.deepStrictEqual(Object.keys(d).sort(), [ 'build', 'list', 'site' ]);
+
+  });
+
+  it('directory adds to a file object'.padEnd( padDefault ), async () => {
+
+    const d = await data();
+
+    assert.strictEqual(d.site.title, 'Site');
+    assert.deepStrictEqual(d.site.nav, [ 'home', 'about' ]);
+    assert.deepStrictEqual(d.list, { extra: 3 });
+
+  });
+
+  it('changed data file reloads'.padEnd( padDefault ), async () => {
+
+    const render = nextRender(publican);
+    await site.write('data/build.js', 'export default { year: 2026 };');
+    assert.ok((await render).written.includes('index.html'));
+
+    assert.deepStrictEqual((await data()).build, { year: 2026 });
+
+  });
+
+});
@@ -0,0 +1,52 @@
+import { htmlExcerpt, htmlTruncate } from '../lib/excerpt.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('excerpt.js/htmlTruncate function'.padEnd( padDefault + 2 ), () => {
+
+  [
+    { in: ['<p>one two three</p>'], out: '<p>one two three</p>' },
+    { in: ['<p>one two three</p>', 2], out: '<p>one two</p>' },
+    { in: ['<p>one <strong>two three</strong> four</p>', 2, '…'], out: '<p>one <strong>two…</strong></p>' },
+    { in: ['<p>one two</p><p>three</p>', 2, '…'], out: '<p>one two…</p>' },
+    { in: ['<p>one<!-- note --> two</p>'], out: '<p>one two</p>' },
+    { in: ['<p>one <em>two', 5], out: '<p>one <em>two</em></p>' },
+    { in: ['<p>one</em> two<br>three</p>', 2], out: '<p>one two</p>' },
+  ].forEach((set, idx) => {
+
+    it(
+      `htmlTruncate test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.strictEqual(htmlTruncate( ...set.in ), set.out)
+    );
+
+  });
+
+});
+
+
+describe('excerpt.js/htmlExcerpt function'.padEnd( padDefault + 2 ), () => {
+
+  const
+    opt = { marker: /<!--\s*more\s*-->/i, paragraphs: 1, words: 3, ellipsis: '…' },
+    html = '<h2>Heading</h2>\n<p>one two</p>\n<!-- more -->\n<p>three four five six</p>';
+
+  [
+    { in: [html, opt], out: '<h2>Heading</h2>\n<p>one two</p>' },
+    { in: [html, { ...opt, marker: '<!--more-->' }], out: '<p>one two</p>' },
+    { in: [html, { ...opt, marker: null, paragraphs: 2 }], out: '<p>one two</p>\n<p>three…</p>' },
+    { in: [html, { ...opt, marker: null, paragraphs: 0, words: 0 }], out: '<h2>Heading</h2>\n<p>one two</p>\n\n<p>three four five six</p>' },
+    { in: ['<ul><li>one two three four</li></ul>', opt], out: '<ul><li>one two three…</li></ul>' },
+    { in: ['', opt], out: '' },
+  ].forEach((set, idx) => {
+
+    it(
+      `htmlExcerpt test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.strictEqual(htmlExcerpt( ...set.in ), set.out)
+    );
+
+  });
+
+});
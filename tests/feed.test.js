@@ -0,0 +1,105 @@
+import { feedRSS, feedAtom, feedJSON, absoluteURLs } from '../lib/feed.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+const feed = {
+  title: 'Publican & co',
+  description: 'Site feed',
+  link: 'https://publican.dev/',
+  feedLink: 'https://publican.dev/feed.xml',
+  updated: new Date('2030-01-02T00:00:00Z'),
+  items: [
+    {
+      title: 'Post <one>',
+      link: 'https://publican.dev/post/one/',
+      date: new Date('2030-01-01T00:00:00Z'),
+      modified: new Date('2030-01-02T00:00:00Z'),
+      summary: 'Summary',
+      content: '<p>Content</p>',
+      categories: [ 'HTML' ]
+    }
+  ]
+};
+
+describe('feed.js/feedRSS function'.padEnd( padDefault + 2 ), () => {
+
+  it(
+    'feedRSS test 1'.padEnd( padDefault ),
+    () => assert.strictEqual(
+      feedRSS( feed ),
+      '<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">\n<channel>\n<title>Publican &amp; co</title>\n<link>https://publican.dev/</link>\n<description>Site feed</description>\n<atom:link href="https://publican.dev/feed.xml" rel="self" type="application/rss+xml"/>\n<lastBuildDate>Wed, 02 Jan 2030 00:00:00 GMT</lastBuildDate>\n<item><title>Post &lt;one&gt;</title><link>https://publican.dev/post/one/</link><guid isPermaLink="true">https://publican.dev/post/one/</guid><pubDate>Tue, 01 Jan 2030 00:00:00 GMT</pubDate><description>Summary</description><content:encoded>&lt;p&gt;Content&lt;/p&gt;</content:encoded><category>HTML</category></item>\n</channel>\n</rss>\n'
+    )
+  );
+
+});
+
+
+describe('feed.js/feedAtom function'.padEnd( padDefault + 2 ), () => {
+
+  it(
+    'feedAtom test 1'.padEnd( padDefault ),
+    () => assert.strictEqual(
+      feedAtom( feed ),
+      '<?xml version="1.0" encoding="UTF-8"?>\n<feed xmlns="http://www.w3.org/2005/Atom">\n<title>Publican &amp; co</title>\n<subtitle>Site feed</subtitle>\n<link href="https://publican.dev/"/>\n<link href="https://publican.dev/feed.xml" rel="self" type="application/atom+xml"/>\n<id>https://publican.dev/</id>\n<updated>2030-01-02T00:00:00.000Z</updated>\n<entry><title>Post &lt;one&gt;</title><link href="https://publican.dev/post/one/"/><id>https://publican.dev/post/one/</id><published>2030-01-01T00:00:00.000Z</published><updated>2030-01-02T00:00:00.000Z</updated><summary type="html">Summary</summary><content type="html">&lt;p&gt;Content&lt;/p&gt;</content><category term="HTML"/></entry>\n</feed>\n'
+    )
+  );
+
+});
+
+
+describe('feed.js/feedJSON function'.padEnd( padDefault + 2 ), () => {
+
+  it(
+    'feedJSON test 1'.padEnd( padDefault ),
+    () => assert.deepStrictEqual(
+      JSON.parse( feedJSON( feed ) ),
+      {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'Publican & co',
+        home_page_url: 'https://publican.dev/',
+        feed_url: 'https://publican.dev/feed.xml',
+        description: 'Site feed',
+        items: [
+          {
+            id: 'https://publican.dev/post/one/',
+            url: 'https://publican.dev/post/one/',
+            title: 'Post <one>',
+            content_html: '<p>Content</p>',
+            summary: 'Summary',
+            date_published: '2030-01-01T00:00:00.000Z',
+            date_modified: '2030-01-02T00:00:00.000Z',
+            tags: [ 'HTML' ]
+          }
+        ]
+      }
+    )
+  );
+
+});
+
+
+describe('feed.js/absoluteURLs function'.padEnd( padDefault + 2 ), () => {
+
+  const base = 'https://publican.dev/post/one/';
+
+  [
+
+    ['<a href="/about/">about</a>', '<a href="https://publican.dev/about/">about</a>'],
+    ['<img src="image.jpg" alt="x">', '<img src="https://publican.dev/post/one/image.jpg" alt="x">'],
+    ['<a href=\'#heading\'>#</a>', '<a href=\'https://publican.dev/post/one/#heading\'>#</a>'],
+    ['<a href="https://example.com/">x</a> <a href="mailto:a@b.c">y</a>', '<a href="https://example.com/">x</a> <a href="mailto:a@b.c">y</a>'],
+    ['<img srcset="a.jpg 1x, /b.jpg 2x">', '<img srcset="https://publican.dev/post/one/a.jpg 1x, https://publican.dev/b.jpg 2x">'],
+
+  ].forEach((set, idx) => {
+
+    it(
+      `absoluteURLs test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.strictEqual(absoluteURLs( set[0], base ), set[1])
+    );
+
+  });
+
+});
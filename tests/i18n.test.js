@@ -0,0 +1,136 @@
+import { testSite } from './site.js';
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('publican.js/i18n locales'.padEnd( padDefault + 2 ), () => {
+
+  let site, files, locale, all;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.lang }:${ data.title }|${ (data.translations || []).map(t => t.lang + \'=\' + t.link + (t.current ? \'*\' : \'\')).join() }',
+      'content/index.md': '---\ntitle: Home\n---\nHome',
+      'content/about.md': '---\ntitle: About\n---\nAbout',
+      'content/hello.md': '---\ntitle: Bonjour\nlang: fr\n---\nBonjour',
+      'content/post/one.md': '---\ntitle: One\ndate: 2025-01-01\ntags: news\ntranslationKey: first\n---\nOne',
+      'content/fr/index.md': '---\ntitle: Accueil\n---\nAccueil',
+      'content/fr/about.md': '---\ntitle: À propos\n---\nÀ propos',
+      'content/fr/post/un.md': '---\ntitle: Un\ndate: 2025-01-02\ntags: news\ntranslationKey: first\n---\nUn',
+      'content/fr/post/deux.md': '---\ntitle: Deux\ndate: 2025-01-03\ntags: news, info\n---\nDeux'
+    });
+
+    const publican = site.publican();
+    publican.config.i18n.locales = [ 'en', 'fr' ];
+    publican.config.siteURL = 'https://example.com';
+    publican.config.feeds.enabled = true;
+    publican.config.feeds.format = { rss: 'feed.xml' };
+    publican.config.processRenderStart.add(tacs => {
+      locale = tacs.locale;
+      all = tacs.all;
+    });
+
+    await publican.build();
+    files = await site.files();
+
+  });
+
+  after(() => site.remove());
+
+  it('locale from directory'.padEnd( padDefault ), () => {
+
+    assert.strictEqual(all.get('about/index.html').lang, 'en');
+    assert.strictEqual(all.get('fr/about/index.html').lang, 'fr');
+    assert.strictEqual(all.get('fr/post/un/index.html').lang, 'fr');
+
+  });
+
+  it('locale from front matter'.padEnd( padDefault ), () => {
+
+    assert.strictEqual(files.get('fr/hello/index.html'), 'fr:Bonjour|fr=/fr/hello/*');
+    assert.strictEqual(files.get('hello/index.html'), undefined);
+
+  });
+
+  it('translations by path'.padEnd( padDefault ), () => {
+
+    assert.strictEqual(files.get('about/index.html'), 'en:About|en=/about/*,fr=/fr/about/');
+    assert.strictEqual(files.get('fr/about/index.html'), 'fr:À propos|en=/about/,fr=/fr/about/*');
+
+  });
+
+  it('translations by translationKey'.padEnd( padDefault ), () => {
+
+    assert.strictEqual(files.get('post/one/index.html'), 'en:One|en=/post/one/*,fr=/fr/post/un/');
+    assert.strictEqual(files.get('fr/post/deux/index.html'), 'fr:Deux|fr=/fr/post/deux/*');
+
+  });
+
+  it('locale directories'.padEnd( padDefault ), () => {
+
+    assert.deepStrictEqual([...locale.get('en').dir.keys()].sort(), [ 'post' ]);
+    assert.deepStrictEqual([...locale.get('fr').dir.keys()].sort(), [ 'fr/post' ]);
+    assert.deepStrictEqual(locale.get('fr').dir.get('fr/post').map(p => p.title).sort(), [ 'Deux', 'Un' ]);
+
+  });
+
+  it('locale taxonomy'.padEnd( padDefault ), () => {
+
+    assert.deepStrictEqual(locale.get('en').tagList.map(t => t.slug + ':' + t.count), [ 'tag/news/index.html:1' ]);
+    assert.deepStrictEqual(locale.get('fr').tagList.map(t => t.slug + ':' + t.count), [ 'fr/tag/news/index.html:2', 'fr/tag/info/index.html:1' ]);
+    assert.strictEqual(files.get('fr/tag/news/index.html').split('|')[0], 'fr:news');
+
+  });
+
+  it('locale feeds'.padEnd( padDefault ), () => {
+
+    assert.match(files.get('feed.xml'), /<title>Home<\/title>[\s\S]*<title>One<\/title>/);
+    assert.doesNotMatch(files.get('feed.xml'), /<title>Un<\/title>/);
+
+    assert.match(files.get('fr/feed.xml'), /<title>Accueil<\/title>[\s\S]*<title>Deux<\/title>[\s\S]*<title>Un<\/title>/);
+    assert.doesNotMatch(files.get('fr/feed.xml'), /<title>One<\/title>/);
+
+  });
+
+});
+
+
+describe('publican.js/i18n default locale directory'.padEnd( padDefault + 2 ), () => {
+
+  let site, files;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.lang }:${ data.title }|${ (data.translations || []).map(t => t.lang + \'=\' + t.link + (t.current ? \'*\' : \'\')).join() }',
+      'content/en/index.md': '---\ntitle: Home\n---\nHome',
+      'content/en/about.md': '---\ntitle: About\n---\nAbout',
+      'content/fr/index.md': '---\ntitle: Accueil\n---\nAccueil',
+      'content/fr/about.md': '---\ntitle: À propos\n---\nÀ propos'
+    });
+
+    const publican = site.publican();
+    publican.config.i18n.locales = [ 'en', 'fr' ];
+    await publican.build();
+    files = await site.files();
+
+  });
+
+  after(() => site.remove());
+
+  it('default locale directory in the root'.padEnd( padDefault ), () => {
+
+    assert.strictEqual(files.get('index.html'), 'en:Home|en=/*,fr=/fr/');
+    assert.strictEqual(files.get('about/index.html'), 'en:About|en=/about/*,fr=/fr/about/');
+    assert.strictEqual(files.get('en/about/index.html'), undefined);
+
+  });
+
+  it('translations of the default locale'.padEnd( padDefault ), () => {
+    assert.strictEqual(files.get('fr/about/index.html'), 'fr:À propos|en=/about/,fr=/fr/about/*');
+  });
+
+});
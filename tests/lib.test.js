@@ -1,5 +1,6 @@
-import { slugify, properCase, normalize, extractFmContent, parseFrontMatter, mdHTML, navHeading, minifySimple, chunk, strReplacer, strHash } from '../lib/lib.js';
+import { slugify, permalink, globRegExp, properCase, normalize, extractFmContent, extractFrontMatter, parseFrontMatter, parseTOML, parseJSON, parseCSV, mdHTML, shortcodeAttrs, navHeading, minifySimple, chunk, letterGroup, strReplacer, htmlText, strHash, fileList } from '../lib/lib.js';
 
+import { fileURLToPath } from 'node:url';
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 
@@ -52,6 +53,52 @@ describe('lib.js/slugify function'.padEnd( 77 ), () => {
 });
 
 
+describe('lib.js/permalink function'.padEnd( padDefault + 2 ), () => {
+
+  const token = { year: '2025', month: '03', slug: 'my-post', title: 'hello-world', lang: '' };
+
+  [
+    { in: '/blog/:year/:month/:slug/', out: 'blog/2025/03/my-post/index.html' },
+    { in: '/:lang/:title/', out: 'hello-world/index.html' },
+    { in: ':year/:title', out: '2025/hello-world/index.html' },
+    { in: '/feed/:slug.json', out: 'feed/my-post.json' },
+    { in: '/:missing/:slug/', out: 'my-post/index.html' },
+  ].forEach((set, idx) => {
+
+    it(
+      `permalink test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.strictEqual(permalink( set.in, token, 'index.html' ), set.out)
+    );
+
+  });
+
+});
+
+
+describe('lib.js/globRegExp function'.padEnd( padDefault + 2 ), () => {
+
+  [
+    { glob: 'blog', match: ['blog/post.md', 'blog/2025/post.md'], noMatch: ['blogs/post.md', 'news/blog/post.md'] },
+    { glob: './blog/', match: ['blog/post.md'], noMatch: ['about.md'] },
+    { glob: 'blog/*.md', match: ['blog/post.md'], noMatch: ['blog/2025/post.md', 'blog/post.html'] },
+    { glob: 'blog/**/*.md', match: ['blog/post.md', 'blog/2025/03/post.md'], noMatch: ['news/post.md'] },
+    { glob: 'post-?.md', match: ['post-1.md'], noMatch: ['post-10.md'] },
+  ].forEach((set, idx) => {
+
+    it(
+      `globRegExp test ${ idx + 1 }`.padEnd( padDefault ),
+      () => {
+        const re = globRegExp( set.glob );
+        set.match.forEach(f => assert.ok(re.test(f), f));
+        set.noMatch.forEach(f => assert.ok(!re.test(f), f));
+      }
+    );
+
+  });
+
+});
+
+
 describe('lib.js/properCase function'.padEnd( 77 ), () => {
 
   const pad = 30;
@@ -131,20 +178,138 @@ describe('lib.js/extractFmContent function'.padEnd( padDefault + 2 ), () => {
 describe('lib.js/parseFrontMatter function'.padEnd( padDefault + 2 ), () => {
 
   [
-    { title: 'title one', value: true },
-    { title: 'title two', description: '"descriptive text"', date: '2030-01-01' },
-    { title: 'title three', description: 'descriptive text', tags: 'a, b, c' },
 
-  ].forEach((output, idx) => {
+    {
+      in: 'title: title one\nvalue:',
+      out: { title: 'title one', value: true }
+    },
+    {
+      in: 'title: title two\ndescription: "descriptive text"\ndate: 2030-01-01',
+      out: { title: 'title two', description: 'descriptive text', date: '2030-01-01' }
+    },
+    {
+      in: 'title: title three\ndescription: descriptive text\ntags: a, b, c',
+      out: { title: 'title three', description: 'descriptive text', tags: 'a, b, c' }
+    },
+    {
+      in: 'title: "Publican: a review" # comment\nsubtitle: C# and more\nlink: https://publican.dev/\npriority: 0.9\ncount: 42\npublish: false\nmenu: ~',
+      out: { title: 'Publican: a review', subtitle: 'C# and more', link: 'https://publican.dev/', priority: 0.9, count: 42, publish: false, menu: null }
+    },
+    {
+      in: 'tags: [HTML, "CSS, SCSS", 3]\ngroups:\n  - one\n  - two\nmap: { a: 1, b: [x, y] }',
+      out: { tags: [ 'HTML', 'CSS, SCSS', 3 ], groups: [ 'one', 'two' ], map: { a: 1, b: [ 'x', 'y' ] } }
+    },
+    {
+      in: '# comment\nauthor:\n  name: Craig\n  social:\n    site: \'craig\'\'s site\'\nlist:\n- name: a\n  value: true\n- name: b\n  value: false',
+      out: { author: { name: 'Craig', social: { site: 'craig\'s site' } }, list: [ { name: 'a', value: true }, { name: 'b', value: false } ] }
+    },
+    {
+      in: 'literal: |\n  line one\n    line two\n\nfolded: >-\n  line one\n  line two\n\n  line three\nkeep: |+\n  text\n\nend: done',
+      out: { literal: 'line one\n  line two\n', folded: 'line one line two\nline three', keep: 'text\n\n', end: 'done' }
+    },
+    {
+      in: 'title:NoSpace\nlink:https://publican.dev/\ndate: 2025',
+      out: { title: 'NoSpace', link: 'https://publican.dev/', date: 2025 }
+    },
 
-    let input = '';
-    for (const prop in output) {
-      input += `${ prop }: ${ output[prop] === true ? '' : output[prop] }\n`;
-    }
+  ].forEach((set, idx) => {
 
     it(
       `parseFrontMatter test ${ idx + 1 }`.padEnd( padDefault ),
-      () => assert.deepStrictEqual(parseFrontMatter( input ), output)
+      () => assert.deepStrictEqual(parseFrontMatter( set.in ), set.out)
+    );
+
+  });
+
+});
+
+
+describe('lib.js/parseTOML function'.padEnd( padDefault + 2 ), () => {
+
+  [
+
+    {
+      in: 'title = "title one" # comment\ndate = 2030-01-01\ndraft = false\npriority = 0.9\ncount = 1_000',
+      out: { title: 'title one', date: '2030-01-01', draft: false, priority: 0.9, count: 1000 }
+    },
+    {
+      in: 'tags = [ "HTML", \'CSS\',\n  "JS", ]\nauthor = { name = "Craig", site.url = "https://publican.dev/" }',
+      out: { tags: [ 'HTML', 'CSS', 'JS' ], author: { name: 'Craig', site: { url: 'https://publican.dev/' } } }
+    },
+    {
+      in: 'description = """\nline one\nline two"""\n\n[menu.main]\nweight = 2\n\n[[links]]\nurl = "a"\n\n[[links]]\nurl = "b"',
+      out: { description: 'line one\nline two', menu: { main: { weight: 2 } }, links: [ { url: 'a' }, { url: 'b' } ] }
+    },
+
+  ].forEach((set, idx) => {
+
+    it(
+      `parseTOML test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.deepStrictEqual(parseTOML( set.in ), set.out)
+    );
+
+  });
+
+  it(
+    'parseTOML error'.padEnd( padDefault ),
+    () => assert.throws(() => parseTOML( 'title = "one"\ntitle = "two"' ), /duplicate key title on line 2/)
+  );
+
+});
+
+
+describe('lib.js/extractFrontMatter function'.padEnd( padDefault + 2 ), () => {
+
+  const parsers = new Map([
+    ['---', parseFrontMatter],
+    ['+++', parseTOML],
+    [';;;', parseJSON]
+  ]);
+
+  [
+
+    { in: '---\ntitle: YAML\n---\nThe content.', out: { data: { title: 'YAML' }, content: 'The content.' } },
+    { in: '+++\ntitle = "TOML"\n+++\nThe content.', out: { data: { title: 'TOML' }, content: 'The content.' } },
+    { in: ';;;\n"title": "JSON"\n;;;\nThe content.', out: { data: { title: 'JSON' }, content: 'The content.' } },
+    { in: '{ "title": "JSON {}" }\nThe content.', json: true, out: { data: { title: 'JSON {}' }, content: 'The content.' } },
+    { in: '{ "title": "JSON" }\nThe content.', out: { data: {}, content: '{ "title": "JSON" }\nThe content.' } },
+    { in: '{ not JSON }', json: true, out: { data: {}, content: '{ not JSON }' } },
+    { in: 'No front matter.', out: { data: {}, content: 'No front matter.' } },
+
+  ].forEach((set, idx) => {
+
+    it(
+      `extractFrontMatter test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.deepStrictEqual(extractFrontMatter( set.in, parsers, set.json ), set.out)
+    );
+
+  });
+
+});
+
+
+describe('lib.js/parseCSV function'.padEnd( padDefault + 2 ), () => {
+
+  [
+
+    {
+      in: 'name,role\nCraig,author\nAnon,reader\n',
+      out: [ { name: 'Craig', role: 'author' }, { name: 'Anon', role: 'reader' } ]
+    },
+    {
+      in: 'name, quote\r\n"Buckler, Craig","He said ""hello""\non two lines"\r\n\r\nAnon,',
+      out: [ { name: 'Buckler, Craig', quote: 'He said "hello"\non two lines' }, { name: 'Anon', quote: '' } ]
+    },
+    {
+      in: '',
+      out: []
+    },
+
+  ].forEach((set, idx) => {
+
+    it(
+      `parseCSV test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.deepStrictEqual(parseCSV( set.in ), set.out)
     );
 
   });
@@ -249,6 +414,56 @@ describe('lib.js/mdHTML and navHeading functions'.padEnd( padDefault + 2 ), () =
 });
 
 
+describe('lib.js/mdHTML shortcodes'.padEnd( padDefault + 2 ), () => {
+
+  const markdownOptions = {
+    core: { html: true, breaks: false, linkify: true, typographer: true },
+    prism: false
+  };
+
+  [
+
+    {
+      md: 'Watch {% youtube id="abc" %} now.',
+      out: '<p>Watch ${ tacs.shortcode("youtube", {"id":"abc"}, "", data) } now.</p>\n'
+    },
+    {
+      md: 'Intro\n{% note type=\'warning\' %}\n**Bold** ${ data.title }\n{% endnote %}',
+      out: '<p>Intro</p>\n${ tacs.shortcode("note", {"type":"warning"}, "<p><strong>Bold</strong> ${ data.title }</p>\\n", data) }\n'
+    },
+    {
+      md: '{% box %}{% box %}inner{% endbox %}{% endbox %}',
+      out: '${ tacs.shortcode("box", {}, "${ tacs.shortcode(\\"box\\", {}, \\"<p>inner</p>\\\\n\\", data) }\\n", data) }\n'
+    },
+    {
+      md: '`{% youtube %}`\n\n```\n{% youtube %}\n```\n\n{% endorphan %}',
+      out: '<p><code>{% youtube %}</code></p>\n<pre><code>{% youtube %}\n</code></pre>\n<p>{% endorphan %}</p>\n'
+    },
+
+  ].forEach((set, idx) => {
+
+    it(
+      `mdHTML shortcode test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.strictEqual(mdHTML( set.md, markdownOptions ), set.out)
+    );
+
+  });
+
+  [
+    { in: 'id="abc" n=3 flag title=\'a "b"\'', out: { id: 'abc', n: '3', flag: true, title: 'a "b"' } },
+    { in: '', out: {} },
+  ].forEach((set, idx) => {
+
+    it(
+      `shortcodeAttrs test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.deepStrictEqual(shortcodeAttrs( set.in ), set.out)
+    );
+
+  });
+
+});
+
+
 describe('lib.js/chunk function'.padEnd( padDefault + 2 ), () => {
 
   [
@@ -281,6 +496,35 @@ describe('lib.js/chunk function'.padEnd( padDefault + 2 ), () => {
 });
 
 
+describe('lib.js/letterGroup function'.padEnd( padDefault + 2 ), () => {
+
+  [
+
+    {
+      in: [{ name: 'apple' }, { name: 'Avocado' }, { name: 'banana' }],
+      out: [{ letter: 'A', list: [{ name: 'apple' }, { name: 'Avocado' }] }, { letter: 'B', list: [{ name: 'banana' }] }]
+    },
+    {
+      in: [{ name: 'Élan' }, { name: '3D' }, { name: 'egg' }, { name: '' }],
+      out: [{ letter: 'E', list: [{ name: 'Élan' }, { name: 'egg' }] }, { letter: '#', list: [{ name: '3D' }, { name: '' }] }]
+    },
+    {
+      in: [],
+      out: []
+    },
+
+  ].forEach((set, idx) => {
+
+    it(
+      `letterGroup test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.deepStrictEqual(letterGroup( set.in ), set.out)
+    );
+
+  });
+
+});
+
+
 describe('lib.js/strReplacer function'.padEnd( padDefault + 2 ), () => {
 
   // replacement map
@@ -322,6 +566,27 @@ describe('lib.js/strReplacer function'.padEnd( padDefault + 2 ), () => {
 });
 
 
+describe('lib.js/htmlText function'.padEnd( padDefault + 2 ), () => {
+
+  [
+    { in: '<p>Hello <strong>world</strong></p>', out: 'Hello world' },
+    { in: '<p>A &amp; B &lt;3 &#169; &#x41;</p>', out: 'A & B <3 © A' },
+    { in: '<nav class="contents"><a href="#x">x</a></nav><p>Text</p>', out: 'Text' },
+    { in: '<script>var a = 1;</script><style>p{}</style><!-- note --><p>\n  Text\n</p>', out: 'Text' },
+    { in: '', out: '' },
+    { in: '<p>&#99999999; &#x110000; &#xD800;</p>', out: '\ufffd \ufffd \ufffd' },
+  ].forEach((set, idx) => {
+
+    it(
+      `htmlText test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.strictEqual(htmlText( set.in ), set.out)
+    );
+
+  });
+
+});
+
+
 describe('lib.js/strHash function'.padEnd( padDefault + 2 ), () => {
 
   [
@@ -338,3 +603,23 @@ describe('lib.js/strHash function'.padEnd( padDefault + 2 ), () => {
   });
 
 });
+
+
+describe('lib.js/fileList function'.padEnd( padDefault + 2 ), () => {
+
+  const libDir = fileURLToPath( new URL('../lib/', import.meta.url) );
+
+  [
+    [ libDir, 'lib.js', true ],
+    [ libDir + 'lib.js', '', true ],
+    [ libDir + 'missing/', 'lib.js', false ],
+  ].forEach((set, idx) => {
+
+    it(
+      `fileList test ${ idx + 1 }`.padEnd( padDefault ),
+      async () => assert.strictEqual((await fileList( set[0] )).includes( set[1] ), set[2])
+    );
+
+  });
+
+});
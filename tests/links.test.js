@@ -0,0 +1,115 @@
+import { htmlLinks, htmlIds } from '../lib/links.js';
+import { testSite } from './site.js';
+
+import { join } from 'node:path';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('links.js/htmlLinks function'.padEnd( padDefault + 2 ), () => {
+
+  [
+    { in: '<a href="/about/">About</a>', out: ['/about/'] },
+    { in: '<a href=\'#top\'>Top</a><img src=/img/logo.png alt="">', out: ['#top', '/img/logo.png'] },
+    { in: '<a href="/search/?a=1&amp;b=2" data-href="x">', out: ['/search/?a=1&b=2'] },
+    { in: '<img srcset="a.png 1x" src="b.png"><script src="/main.js"></script>', out: ['b.png', '/main.js'] },
+    { in: '<!-- <a href="/hidden/"> --><link rel="stylesheet" href="/main.css">', out: ['/main.css'] },
+    { in: '<p>href="/text/"</p>', out: [] },
+  ].forEach((set, idx) => {
+
+    it(
+      `htmlLinks test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.deepStrictEqual(htmlLinks( set.in ), set.out)
+    );
+
+  });
+
+});
+
+
+describe('links.js/htmlIds function'.padEnd( padDefault + 2 ), () => {
+
+  [
+    { in: '<h2 id="heading-one">Heading one</h2>', out: ['heading-one'] },
+    { in: '<section id=main><a name="named"></a></section>', out: ['main', 'named'] },
+    { in: '<meta name="description" content=""><input name="q">', out: [] },
+    { in: '<div data-id="x" id=\'y\'>', out: ['y'] },
+  ].forEach((set, idx) => {
+
+    it(
+      `htmlIds test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.deepStrictEqual([...htmlIds( set.in )], set.out)
+    );
+
+  });
+
+});
+
+
+describe('publican.js/linkCheck'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.content }',
+      'content/index.md': '<p><a href="/about/">a</a> <a href="about/#team">b</a> <a href="/about/#missing">c</a> <a href="/img/logo.svg">d</a> <a href="/nowhere/">e</a> <a href="#top">f</a> <a href="https://example.com/x/">g</a></p>',
+      'content/about.md': '<h2 id="team">Team</h2>',
+      'static/logo.svg': '<svg/>'
+    });
+
+  });
+
+  after(() => site.remove());
+
+  // build with a linkCheck mode and return the log
+  const build = async (t, dir, mode) => {
+
+    const log = [];
+    [ 'log', 'info', 'warn', 'error' ].forEach(m => t.mock.method(console, m, (...args) => log.push(args.join(' '))));
+    t.mock.method(process, 'exit', code => { throw new Error(`exit ${ code }`); });
+
+    const publican = site.publican(dir);
+    publican.config.logLevel = 1;
+    publican.config.linkCheck = mode;
+    publican.config.passThrough.add({ from: join(site.dir, 'static'), to: 'img' });
+    await publican.build();
+    return log.join('\n');
+
+  };
+
+  it('warn reports broken links'.padEnd( padDefault ), async t => {
+
+    const log = await build(t, 'build-warn', 'warn');
+
+    assert.match(log, /broken internal links: 2/);
+    assert.match(log, /index\.md: \/nowhere\/ \(file not found\)/);
+    assert.match(log, /index\.md: \/about\/#missing \(#missing not found\)/);
+
+  });
+
+  it('passthrough and fragment links valid'.padEnd( padDefault ), async t => {
+
+    const log = await build(t, 'build-valid', 'warn');
+
+    assert.doesNotMatch(log, /logo\.svg/);
+    assert.doesNotMatch(log, /#team/);
+    assert.doesNotMatch(log, /#top|example\.com/);
+
+  });
+
+  it('error fails the initial build'.padEnd( padDefault ), async t => {
+
+    await assert.rejects(build(t, 'build-error', 'error'), /exit 1/);
+
+  });
+
+  it('disabled by default'.padEnd( padDefault ), async t => {
+
+    assert.doesNotMatch(await build(t, 'build-off', false), /broken internal links/);
+
+  });
+
+});
@@ -0,0 +1,155 @@
+import { testSite, nextRender } from './site.js';
+
+import { join } from 'node:path';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+// site templates and data sources
+const files = {
+  'template/default.html': '${ data.content }',
+  'template/record.html': '${ data.title || \'\' }|${ data.record.name }|${ data.record.slug || \'\' }|${ data.content }',
+  'template/records.html': '${ data.records.map(r => r.name).join() }|${ data.pagination.pageCurrent1 }/${ data.pagination.pageTotal }|${ data.pagination.hrefNext || \'\' }',
+  'data/team.json': JSON.stringify([
+    { name: 'Ann', role: 'lead', slug: 'override', publish: false, template: 'default.html', content: 'replaced' },
+    { name: 'Bob', role: 'dev' }
+  ]),
+  'data/product.csv': 'name,price\nRed Hat,10\nBlue Shoe,20\n',
+  'data/module.js': 'export default async () => [{ name: \'One\' }, { name: \'Two\' }];',
+  'content/index.md': 'Home'
+};
+
+
+describe('publican.js/pagesFrom'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  before(async () => {
+    site = await testSite(files);
+  });
+
+  after(() => site.remove());
+
+  // build with pagesFrom entries and return the build files
+  const build = async (dir, ...pagesFrom) => {
+
+    const publican = site.publican(dir);
+    pagesFrom.forEach(pf => publican.config.pagesFrom.add(pf));
+    await publican.build();
+    return site.files(dir);
+
+  };
+
+  it('JSON records with default slugs'.padEnd( padDefault ), async () => {
+
+    const pages = await build('build-json', {
+      data: join(site.dir, 'data/team.json'),
+      template: 'record.html',
+      content: rec => rec.role
+    });
+
+    // team/index.html is the directory index page
+    assert.deepStrictEqual([...pages.keys()], [ 'index.html', 'team/1/index.html', 'team/2/index.html', 'team/index.html' ]);
+
+    // record fields do not replace page data
+    assert.strictEqual(pages.get('team/1/index.html'), '|Ann|override|lead');
+    assert.strictEqual(pages.get('team/2/index.html'), '|Bob||dev');
+
+  });
+
+  it('CSV records with permalink and data'.padEnd( padDefault ), async () => {
+
+    const pages = await build('build-csv', {
+      data: join(site.dir, 'data/product.csv'),
+      template: 'record.html',
+      permalink: '/shop/:name/',
+      pageData: rec => ({ title: rec.name + ' $' + rec.price }),
+      content: '<p>product</p>'
+    });
+
+    assert.strictEqual(pages.get('shop/red-hat/index.html'), 'Red Hat $10|Red Hat||<p>product</p>');
+    assert.strictEqual(pages.get('shop/blue-shoe/index.html'), 'Blue Shoe $20|Blue Shoe||<p>product</p>');
+
+  });
+
+  it('JavaScript module records'.padEnd( padDefault ), async () => {
+
+    const pages = await build('build-module', {
+      data: join(site.dir, 'data/module.js'),
+      name: 'mod',
+      template: 'record.html'
+    });
+
+    assert.strictEqual(pages.get('mod/1/index.html'), '|One||');
+    assert.strictEqual(pages.get('mod/2/index.html'), '|Two||');
+
+  });
+
+  it('function records in chunks'.padEnd( padDefault ), async () => {
+
+    const pages = await build('build-chunk', {
+      data: async () => [ 'a', 'b', 'c', 'd', 'e' ].map(name => ({ name })),
+      name: 'list',
+      template: 'records.html',
+      size: 2
+    });
+
+    assert.deepStrictEqual(
+      [...pages.keys()],
+      [ 'index.html', 'list/1/index.html', 'list/2/index.html', 'list/index.html' ]
+    );
+
+    assert.strictEqual(pages.get('list/index.html'), 'a,b|1/3|/list/1/');
+    assert.strictEqual(pages.get('list/1/index.html'), 'c,d|2/3|/list/2/');
+    assert.strictEqual(pages.get('list/2/index.html'), 'e|3/3|');
+
+  });
+
+});
+
+
+describe('publican.js/pagesFrom watch'.padEnd( padDefault + 2 ), () => {
+
+  let site, publican;
+
+  before(async () => {
+
+    site = await testSite(files);
+    publican = site.publican();
+    publican.config.watch = true;
+    publican.config.watchDebounce = 50;
+    publican.config.pruneBuild = true;
+    publican.config.pagesFrom.add({
+      data: join(site.dir, 'data/team.json'),
+      template: 'record.html',
+      permalink: '/team/:name/'
+    });
+    await publican.build();
+
+  });
+
+  after(async () => {
+
+    await publican.close();
+    await site.remove();
+
+  });
+
+  it('removed record removes its page'.padEnd( padDefault ), async () => {
+
+    assert.notStrictEqual(await site.read('team/bob/index.html'), null);
+
+    const render = nextRender(publican);
+    await site.write('data/team.json', JSON.stringify([ { name: 'Ann' }, { name: 'Cat' } ]));
+    await render;
+
+    // wait for the build directory to be pruned
+    await publican.close();
+
+    assert.strictEqual(await site.read('team/cat/index.html'), '|Cat||');
+    assert.strictEqual(await site.read('team/bob/index.html'), null);
+
+  });
+
+});
@@ -0,0 +1,140 @@
+import { testSite, nextRender } from './site.js';
+
+import { join } from 'node:path';
+import { rm } from 'node:fs/promises';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('publican.js/passThrough watch'.padEnd( padDefault + 2 ), () => {
+
+  let site, publican;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.content }',
+      'content/index.md': 'Home',
+      'static/css/main.css': 'p{}',
+      'static/img/logo.svg': '<svg/>',
+      'robots.txt': 'User-agent: *'
+    });
+
+    publican = site.publican();
+    publican.config.watch = true;
+    publican.config.watchDebounce = 50;
+    publican.config.passThrough.add({ from: join(site.dir, 'static'), to: 'assets' });
+    publican.config.passThrough.add({ from: join(site.dir, 'robots.txt'), to: 'robots.txt' });
+    await publican.build();
+
+  });
+
+  after(async () => {
+
+    await publican.close();
+    await site.remove();
+
+  });
+
+  // wait until a build file has the expected content (null when removed)
+  const buildFile = async (slug, expected) => {
+
+    let content;
+    for (let t = 0; t < 100; t++) {
+      content = await site.read(slug);
+      if (content === expected) break;
+      await sleep(30);
+    }
+    return content;
+
+  };
+
+  it('initial copy'.padEnd( padDefault ), async () => {
+
+    assert.strictEqual(await site.read('assets/css/main.css'), 'p{}');
+    assert.strictEqual(await site.read('robots.txt'), 'User-agent: *');
+
+  });
+
+  it('changed file copied'.padEnd( padDefault ), async () => {
+
+    await site.write('static/css/main.css', 'p{color:red}');
+    assert.strictEqual(await buildFile('assets/css/main.css', 'p{color:red}'), 'p{color:red}');
+
+  });
+
+  it('new file copied'.padEnd( padDefault ), async () => {
+
+    await site.write('static/css/new.css', 'a{}');
+    assert.strictEqual(await buildFile('assets/css/new.css', 'a{}'), 'a{}');
+
+  });
+
+  it('deleted file removed'.padEnd( padDefault ), async () => {
+
+    await rm(join(site.dir, 'static/img/logo.svg'));
+    assert.strictEqual(await buildFile('assets/img/logo.svg', null), null);
+
+  });
+
+  it('single file changed'.padEnd( padDefault ), async () => {
+
+    await site.write('robots.txt', 'User-agent: bot');
+    assert.strictEqual(await buildFile('robots.txt', 'User-agent: bot'), 'User-agent: bot');
+
+  });
+
+});
+
+
+describe('publican.js/fingerprint watch'.padEnd( padDefault + 2 ), () => {
+
+  let site, publican;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.content }',
+      'content/index.md': 'Home',
+      'content/css/main.css': 'p{color:red}',
+      'static/logo.svg': '<svg/>'
+    });
+
+    publican = site.publican();
+    publican.config.watch = true;
+    publican.config.watchDebounce = 50;
+    publican.config.fingerprint.enabled = true;
+    publican.config.passThrough.add({ from: join(site.dir, 'static'), to: 'img' });
+    await publican.build();
+
+  });
+
+  after(async () => {
+
+    await publican.close();
+    await site.remove();
+
+  });
+
+  // fingerprinted build files
+  const hashed = async () => [...(await site.files()).keys()].filter(f => /\.[0-9a-f]{8}\./.test(f));
+
+  it('superseded copies removed'.padEnd( padDefault ), async () => {
+
+    const first = await hashed();
+    assert.strictEqual(first.length, 2);
+
+    const render = nextRender(publican);
+    await site.write('content/css/main.css', 'p{color:blue}');
+    await site.write('static/logo.svg', '<svg></svg>');
+    await render;
+
+    const second = await hashed();
+    assert.strictEqual(second.length, 2);
+    assert.ok(second.every(f => !first.includes(f)));
+
+  });
+
+});
@@ -0,0 +1,34 @@
+import { workerPool } from '../lib/pool.js';
+import { mdHTML } from '../lib/lib.js';
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('pool.js/workerPool function'.padEnd( padDefault + 2 ), () => {
+
+  const pool = workerPool(2);
+
+  after(() => pool.close());
+
+  it('map results in order'.padEnd( padDefault ), async () => {
+
+    const md = [ '# One', '*two*', '`three`', '- four', 'five' ];
+    assert.deepStrictEqual(await pool.map('markdown', md, { markdownOptions: {} }), md.map(m => mdHTML(m, {})));
+
+  });
+
+  it('map an empty list'.padEnd( padDefault ), async () => {
+    assert.deepStrictEqual(await pool.map('markdown', []), []);
+  });
+
+  it('unknown action rejects'.padEnd( padDefault ), async () => {
+    await assert.rejects(pool.all({ type: 'unknown' }));
+  });
+
+  it('uncloneable message rejects'.padEnd( padDefault ), async () => {
+    await assert.rejects(pool.all({ type: 'markdown', list: [], fn: () => 1 }));
+  });
+
+});
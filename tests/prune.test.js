@@ -0,0 +1,109 @@
+import { testSite } from './site.js';
+
+import { join } from 'node:path';
+import { access } from 'node:fs/promises';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+// site with a passthrough directory
+const files = {
+  'template/default.html': '${ data.content }',
+  'content/index.md': 'Home',
+  'content/about.md': 'About',
+  'static/logo.svg': '<svg/>'
+};
+
+// stale files left in the build directory by an earlier run
+const stale = [ 'old/index.html', 'old/deep/page/index.html', 'about/old.txt' ];
+
+
+describe('publican.js/pruneBuild'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  before(async () => {
+    site = await testSite(files);
+  });
+
+  after(() => site.remove());
+
+  // add stale files, build, and return the build files
+  const build = async (dir, prune) => {
+
+    for (const f of stale) await site.write(join(dir, f), 'stale');
+
+    const publican = site.publican(dir);
+    publican.config.pruneBuild = prune;
+    publican.config.passThrough.add({ from: join(site.dir, 'static'), to: 'img' });
+    await publican.build();
+    return site.files(dir);
+
+  };
+
+  // directory exists in the build
+  const exists = async (dir, path) => {
+
+    try {
+      await access(join(site.dir, dir, path));
+      return true;
+    }
+    catch {
+      return false;
+    }
+
+  };
+
+  it('stale files removed'.padEnd( padDefault ), async () => {
+
+    const pages = await build('build-prune', true);
+
+    assert.deepStrictEqual([...pages.keys()], [ 'about/index.html', 'img/logo.svg', 'index.html' ]);
+
+  });
+
+  it('empty directories removed'.padEnd( padDefault ), async () => {
+
+    assert.strictEqual(await exists('build-prune', 'old'), false);
+    assert.strictEqual(await exists('build-prune', 'about'), true);
+
+  });
+
+  it('passthrough copies kept'.padEnd( padDefault ), async () => {
+
+    const pages = await build('build-prune', true);
+    assert.strictEqual(pages.get('img/logo.svg'), '<svg/>');
+
+  });
+
+  it('dryrun lists files without removing'.padEnd( padDefault ), async t => {
+
+    const log = [];
+    [ 'log', 'info', 'warn' ].forEach(m => t.mock.method(console, m, (...args) => log.push(args.join(' '))));
+
+    const
+      dir = 'build-dryrun',
+      publican = site.publican(dir);
+
+    for (const f of stale) await site.write(join(dir, f), 'stale');
+    publican.config.logLevel = 1;
+    publican.config.pruneBuild = 'dryrun';
+    await publican.build();
+
+    const pages = await site.files(dir);
+    stale.forEach(f => {
+      assert.strictEqual(pages.get(f), 'stale', f);
+      assert.ok(log.some(l => l.includes(f)), f);
+    });
+
+  });
+
+  it('disabled by default'.padEnd( padDefault ), async () => {
+
+    const pages = await build('build-keep', false);
+    stale.forEach(f => assert.strictEqual(pages.get(f), 'stale', f));
+
+  });
+
+});
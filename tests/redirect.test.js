@@ -0,0 +1,146 @@
+import { redirectSlug, redirectHTML, redirectNetlify, redirectNginx } from '../lib/redirect.js';
+import { testSite } from './site.js';
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('redirect.js/redirectSlug function'.padEnd( padDefault + 2 ), () => {
+
+  [
+    { in: '/old/', out: 'old/index.html' },
+    { in: 'old/page', out: 'old/page/index.html' },
+    { in: '/old.html', out: 'old.html' },
+    { in: '//a//b/?q=1#x', out: 'a/b/index.html' },
+    { in: '/', out: 'index.html' },
+  ].forEach((set, idx) => {
+
+    it(
+      `redirectSlug test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.strictEqual(redirectSlug( set.in ), set.out)
+    );
+
+  });
+
+});
+
+
+describe('redirect.js/redirectHTML function'.padEnd( padDefault + 2 ), () => {
+
+  it(
+    'redirectHTML refresh and canonical'.padEnd( padDefault ),
+    () => {
+      const html = redirectHTML('/new/?a=1&b=2', 'https://example.com/new/?a=1&b=2');
+      assert.match(html, /<meta http-equiv="refresh" content="0; url=\/new\/\?a=1&amp;b=2">/);
+      assert.match(html, /<link rel="canonical" href="https:\/\/example\.com\/new\/\?a=1&amp;b=2">/);
+      assert.match(html, /<a href="\/new\/\?a=1&amp;b=2">/);
+    }
+  );
+
+  it(
+    'redirectHTML default canonical'.padEnd( padDefault ),
+    () => assert.match(redirectHTML('/new/'), /<link rel="canonical" href="\/new\/">/)
+  );
+
+});
+
+
+describe('redirect.js/server files'.padEnd( padDefault + 2 ), () => {
+
+  const list = [
+    { from: '/old/', to: '/new/', status: 301 },
+    { from: '/temp/', to: 'https://example.com/"x"', status: 302 },
+  ];
+
+  it(
+    'redirectNetlify'.padEnd( padDefault ),
+    () => assert.strictEqual(redirectNetlify(list), '/old/ /new/ 301\n/temp/ https://example.com/"x" 302\n')
+  );
+
+  it(
+    'redirectNginx'.padEnd( padDefault ),
+    () => assert.strictEqual(
+      redirectNginx(list),
+      'map $uri $redirect_uri {\n  "/old/" "/new/";\n  "/temp/" "https://example.com/\\"x\\"";\n}\n'
+    )
+  );
+
+});
+
+
+describe('publican.js/redirects'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.content }',
+      'content/index.md': 'Home',
+      'content/about.md': '---\naliases: /old-about/, old.html\n---\nAbout'
+    });
+
+  });
+
+  after(() => site.remove());
+
+  // build with redirect options and return the build files
+  const build = async (dir, redirect = {}) => {
+
+    const publican = site.publican(dir);
+    publican.config.siteURL = 'https://example.com';
+    Object.assign(publican.config.redirect, redirect);
+    await publican.build();
+    return site.files(dir);
+
+  };
+
+  it('HTML pages and server files'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-redirect', {
+      map: new Map([ [ '/blog/', '/post/' ], [ '/ext/', 'https://publican.dev/' ] ]),
+      netlify: '_redirects',
+      nginx: 'redirects.conf',
+      status: 302
+    });
+
+    [
+      { slug: 'old-about/index.html', out: redirectHTML('/about/', 'https://example.com/about/') },
+      { slug: 'old.html', out: redirectHTML('/about/', 'https://example.com/about/') },
+      { slug: 'blog/index.html', out: redirectHTML('/post/', 'https://example.com/post/') },
+      { slug: 'ext/index.html', out: redirectHTML('https://publican.dev/') },
+      { slug: '_redirects', out: '/blog/ /post/ 302\n/ext/ https://publican.dev/ 302\n/old-about/ /about/ 302\n/old.html /about/ 302\n' },
+      { slug: 'redirects.conf', out: 'map $uri $redirect_uri {\n  "/blog/" "/post/";\n  "/ext/" "https://publican.dev/";\n  "/old-about/" "/about/";\n  "/old.html" "/about/";\n}\n' },
+    ].forEach(set => assert.strictEqual(files.get(set.slug), set.out, set.slug));
+
+  });
+
+  it('no HTML pages or server files'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-none', { html: false });
+    assert.deepStrictEqual([...files.keys()], [ 'about/index.html', 'index.html' ]);
+
+  });
+
+  it('alias using a page slug exits'.padEnd( padDefault ), async t => {
+
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(process, 'exit', code => { throw new Error(`exit ${ code }`); });
+
+    await assert.rejects(build('build-page', { map: new Map([ [ '/about/', '/new/' ] ]) }), /exit 1/);
+
+  });
+
+  it('duplicate alias exits'.padEnd( padDefault ), async t => {
+
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(process, 'exit', code => { throw new Error(`exit ${ code }`); });
+
+    await assert.rejects(build('build-dup', { map: new Map([ [ '/old-about', '/new/' ] ]) }), /exit 1/);
+
+  });
+
+});
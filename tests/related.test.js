@@ -0,0 +1,75 @@
+import { relatedPages } from '../lib/related.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('related.js/relatedPages function'.padEnd( padDefault + 2 ), () => {
+
+  const
+    tags = (...ref) => ref.map(ref => ({ tag: ref, ref })),
+    page = {
+      a: { title: 'a', directory: 'post', date: new Date('2025-01-01'), tags: tags('js', 'css') },
+      b: { title: 'b', directory: 'post', date: new Date('2025-01-02'), tags: tags('js') },
+      c: { title: 'c', directory: 'post', date: new Date('2024-01-01'), tags: tags('css') },
+      d: { title: 'd', directory: 'news', date: new Date('2025-01-01'), tags: tags('js'), groups: new Set(['featured']) },
+      e: { title: 'e', directory: 'about', groups: new Set(['featured']) },
+      f: { title: 'f', directory: 'misc' },
+    },
+    titles = list => list.map(p => p.title),
+    weight = { tag: 3, group: 2, directory: 1, date: 1 };
+
+  it(
+    'relatedPages rare tags score higher'.padEnd( padDefault ),
+    () => {
+      const related = relatedPages(Object.values(page), { weight: { tag: 3 } });
+      assert.deepStrictEqual(titles(related.get(page.a)), ['c', 'b', 'd']);
+    }
+  );
+
+  it(
+    'relatedPages groups and directories'.padEnd( padDefault ),
+    () => {
+      const related = relatedPages(Object.values(page), { weight, dateRange: 365 });
+      assert.deepStrictEqual(titles(related.get(page.d)), ['a', 'b', 'e']);
+      assert.deepStrictEqual(titles(related.get(page.e)), ['d']);
+      assert.deepStrictEqual(titles(related.get(page.f)), []);
+    }
+  );
+
+  it(
+    'relatedPages date proximity'.padEnd( padDefault ),
+    () => {
+      const related = relatedPages([ page.a, page.b, page.c ], { weight: { date: 1 }, dateRange: 30 });
+      assert.deepStrictEqual(titles(related.get(page.a)), ['b']);
+    }
+  );
+
+  it(
+    'relatedPages directory and date need a tag'.padEnd( padDefault ),
+    () => {
+      const related = relatedPages([ page.a, page.b, page.c, page.f ], { weight: { directory: 1, date: 1 }, dateRange: 30 });
+      assert.deepStrictEqual(titles(related.get(page.c)), ['a']);
+      assert.deepStrictEqual(titles(related.get(page.b)), ['a']);
+      assert.deepStrictEqual(titles(related.get(page.f)), []);
+    }
+  );
+
+  it(
+    'relatedPages tag counts set rarity'.padEnd( padDefault ),
+    () => {
+      const related = relatedPages(Object.values(page), { weight: { tag: 3 }, tagCount: new Map([ ['js', 1], ['css', 10] ]) });
+      assert.deepStrictEqual(titles(related.get(page.a)), ['b', 'd', 'c']);
+    }
+  );
+
+  it(
+    'relatedPages size limit'.padEnd( padDefault ),
+    () => {
+      const related = relatedPages(Object.values(page), { size: 1, weight: { tag: 3 } });
+      assert.deepStrictEqual(titles(related.get(page.a)), ['c']);
+    }
+  );
+
+});
@@ -0,0 +1,312 @@
+import { testSite, nextRender } from './site.js';
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+// site templates and content
+const files = {
+  'template/default.html': '<html>${ include(\'_partials/header.html\') }<main>${ data.content }</main></html>',
+  'template/plain.html': '<html>${ data.content }${ include(\'_partials/footer.html\') }</html>',
+  'template/_partials/header.html': '<header>${ data.title }</header>',
+  'template/_partials/footer.html': '<footer>footer</footer>',
+  'template/_partials/list.html': '<ul>${ [...tacs[\'all\'].values()].filter(p => p.title).map(p => \'<li>\' + p.title + \'</li>\').join(\'\') }</ul>',
+  'content/index.md': '---\ntitle: Home\n---\nHome page.\n',
+  'content/about.md': '---\ntitle: About\ntemplate: plain.html\n---\nAbout page.\n',
+  'content/list.md': '---\ntitle: List\ntemplate: plain.html\n---\n${ include(\'_partials/list.html\') }\n',
+  'content/words.md': '---\ntitle: Words\n---\n<p>${ tacs.all.get(\'about/index.html\').wordCount }</p>\n'
+};
+
+
+describe('render.js/incremental render'.padEnd( padDefault + 2 ), () => {
+
+  let site, publican;
+
+  before(async () => {
+
+    site = await testSite(files);
+    publican = site.publican();
+    publican.config.watch = true;
+    publican.config.watchDebounce = 50;
+    await publican.build();
+
+  });
+
+  after(async () => {
+
+    await publican.close();
+    await site.remove();
+
+  });
+
+  // change a file and return the rendered slugs
+  const change = async (file, content) => {
+
+    const render = nextRender(publican);
+    await site.write(file, content);
+    return (await render).rendered;
+
+  };
+
+  it('partial change: pages using it'.padEnd( padDefault ), async () => {
+
+    assert.deepStrictEqual(
+      await change('template/_partials/footer.html', '<footer>updated</footer>'),
+      [ 'about/index.html', 'list/index.html' ]
+    );
+
+    assert.match(await site.read('about/index.html'), /<footer>updated<\/footer>/);
+
+  });
+
+  it('template partial: pages using it'.padEnd( padDefault ), async () => {
+
+    assert.deepStrictEqual(
+      await change('template/_partials/header.html', '<header>[${ data.title }]</header>'),
+      [ 'index.html', 'words/index.html' ]
+    );
+
+  });
+
+  it('body change: page and content readers'.padEnd( padDefault ), async () => {
+
+    assert.deepStrictEqual(
+      await change('content/about.md', '---\ntitle: About\ntemplate: plain.html\n---\nAbout page updated.\n'),
+      [ 'about/index.html', 'words/index.html' ]
+    );
+
+    assert.match(await site.read('words/index.html'), /<p>3<\/p>/);
+
+  });
+
+  it('title change: page and collection readers'.padEnd( padDefault ), async () => {
+
+    const rendered = await change('content/about.md', '---\ntitle: About us\ntemplate: plain.html\n---\nAbout page updated.\n');
+
+    assert.ok(rendered.includes('about/index.html'));
+    assert.ok(rendered.includes('list/index.html'));
+    assert.ok(rendered.includes('words/index.html'));
+    assert.ok(!rendered.includes('index.html'));
+
+    assert.match(await site.read('list/index.html'), /<li>About us<\/li>/);
+
+  });
+
+});
+
+
+describe('render.js/processRenderStart full render'.padEnd( padDefault + 2 ), () => {
+
+  let site, publican;
+
+  before(async () => {
+
+    site = await testSite(files);
+    publican = site.publican();
+    publican.config.watch = true;
+    publican.config.watchDebounce = 50;
+    publican.config.processRenderStart.add(tacs => { tacs.all.forEach(data => { data.built = 1; }); });
+    await publican.build();
+
+  });
+
+  after(async () => {
+
+    await publican.close();
+    await site.remove();
+
+  });
+
+  it('partial change: all pages'.padEnd( padDefault ), async () => {
+
+    const render = nextRender(publican);
+    await site.write('template/_partials/footer.html', '<footer>updated</footer>');
+
+    assert.deepStrictEqual(
+      (await render).rendered,
+      [ 'about/index.html', 'index.html', 'list/index.html', 'words/index.html' ]
+    );
+
+  });
+
+});
+
+
+describe('render.js/worker threads'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  // the main thread sets this value so page output shows where it rendered
+  const thread = '<p>${ globalThis.publicanThread ?? \'worker\' }</p>';
+
+  before(async () => {
+
+    site = await testSite({
+      ...files,
+      'template/_partials/note.html': '<aside>${ data.shortcode.body }</aside>',
+      'content/post/one.md': '---\ntitle: One\ndate: 2025-01-01\ntags: a, b\n---\nFirst **post**.\n\n<!-- more -->\n\nMore text.\n',
+      'content/post/two.md': '---\ntitle: Two\ndate: 2025-01-02\ntags: b\n---\nSecond post with `code`.\n\n{% note %}A note{% endnote %}\n',
+      'content/post/three.md': '---\ntitle: Three\ndate: 2025-01-03\n---\n{% upper %}function shortcode{% endupper %}\n\n' + thread + '\n',
+      'content/reader.md': '---\ntitle: Reader\n---\n${ [...tacs.all.values()].filter(p => p.directory === \'post\' && p.date).map(p => p.title + \':\' + p.contentRendered + p.excerpt + p.wordCount).join(\'\') }\n',
+      'content/thread.md': '---\ntitle: Thread\n---\n' + thread + '\n'
+    });
+
+  });
+
+  after(async () => {
+
+    delete globalThis.publicanThread;
+    await site.remove();
+
+  });
+
+  // build into a directory and return its files
+  const build = async (dir, workers, config = () => {}) => {
+
+    const publican = site.publican(dir);
+    publican.config.workers = workers;
+    publican.config.shortcode.set('note', '_partials/note.html');
+    publican.config.shortcode.set('upper', (attrs, body) => body.toUpperCase());
+    config(publican);
+
+    globalThis.publicanThread = 'main';
+    await publican.build();
+    delete globalThis.publicanThread;
+
+    return site.files(dir);
+
+  };
+
+  // compare files except thread pages
+  const compare = (a, b) => {
+
+    [ a, b ].forEach(f => {
+      f.delete('thread/index.html');
+      f.delete('post/three/index.html');
+    });
+
+    assert.ok(a.size >= 10);
+    assert.deepStrictEqual([...a.keys()], [...b.keys()]);
+    a.forEach((content, slug) => assert.strictEqual(b.get(slug), content, slug));
+
+  };
+
+  it('same output with and without workers'.padEnd( padDefault ), async () => {
+
+    const
+      single = await build('build-single', false),
+      multi = await build('build-multi', 2);
+
+    // contentRendered readers render after other pages
+    assert.match(single.get('reader/index.html'), /One:<p>First <strong>post<\/strong>/);
+    assert.doesNotMatch(single.get('reader/index.html'), /undefined/);
+
+    // shortcode function page renders in the main thread
+    assert.match(multi.get('thread/index.html'), /<p>worker<\/p>/);
+    assert.match(multi.get('post/three/index.html'), /FUNCTION SHORTCODE[\s\S]*<p>main<\/p>/);
+    assert.match(single.get('thread/index.html'), /<p>main<\/p>/);
+
+    compare(single, multi);
+
+  });
+
+  it('processPreRender hooks with workers'.padEnd( padDefault ), async () => {
+
+    const
+      hook = p => p.config.processPreRender.add(data => { if (data.isHTML) data.content += '<p>hook</p>'; }),
+      single = await build('build-hook-single', false, hook),
+      multi = await build('build-hook-multi', 2, hook);
+
+    assert.match(multi.get('index.html'), /<p>hook<\/p><\/main>/);
+    assert.match(multi.get('thread/index.html'), /<p>worker<\/p>/);
+
+    compare(single, multi);
+
+  });
+
+  it('uncloneable data renders in main thread'.padEnd( padDefault ), async () => {
+
+    const
+      fn = p => p.config.processRenderStart.add(tacs => { tacs.fn = () => 1; }),
+      single = await build('build-fn-single', false, fn),
+      multi = await build('build-fn-multi', 2, fn);
+
+    assert.match(multi.get('thread/index.html'), /<p>main<\/p>/);
+
+    compare(single, multi);
+
+  });
+
+});
+
+
+describe('render.js/word count in template'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '<main>${ data.content }</main><p>words:${ data.wordCount }</p>',
+      'template/_partials/text.html': '<p>${ [ \'one\', \'two\', \'three\' ].map(w => { return w; }).join(\' \') }</p>',
+      'content/index.md': '---\ntitle: Home\n---\n${ include(\'_partials/text.html\') }\n',
+      'content/ko.md': '---\ntitle: Korean\nlang: ko\n---\n한국어 텍스트\n'
+    });
+
+  });
+
+  after(() => site.remove());
+
+  it('rendered content counted'.padEnd( padDefault ), async () => {
+
+    await site.publican().build();
+
+    assert.match(await site.read('index.html'), /<p>words:3<\/p>$/);
+    assert.match(await site.read('ko/index.html'), /<p>words:2<\/p>$/);
+
+  });
+
+});
+
+
+describe('render.js/excerpt in template'.padEnd( padDefault + 2 ), () => {
+
+  let site, priority;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '<main>${ data.content }</main><p>${ data.wordCount }</p><aside>${ data.excerpt }|${ data.excerptText }</aside>',
+      'content/index.md': '---\ntitle: Home\n---\nFirst paragraph.\n\nSecond paragraph.\n\n<p>${ data.excerpt }</p>\n',
+      'content/summary.md': '---\ntitle: Summary\nsummary: Use <b> & "quotes"\n---\nContent.\n',
+      'content/entity.md': '---\ntitle: Entity\n---\n<p>Bad &#99999999; entity</p>\n'
+    });
+
+    const publican = site.publican();
+    publican.config.processRenderStart.add(tacs => {
+      priority = tacs.all.get('index.html').renderPriority;
+    });
+    await publican.build();
+
+  });
+
+  after(() => site.remove());
+
+  it('page excerpt in template'.padEnd( padDefault ), async () => {
+    assert.match(await site.read('index.html'), /<aside><p>First paragraph.<\/p>\|First paragraph.<\/aside>$/);
+  });
+
+  it('summary is escaped'.padEnd( padDefault ), async () => {
+    assert.match(await site.read('summary/index.html'), /<aside><p>Use &lt;b&gt; &amp; &quot;quotes&quot;<\/p>\|Use <b> & "quotes"<\/aside>$/);
+  });
+
+  it('malformed entity still builds'.padEnd( padDefault ), async () => {
+    assert.match(await site.read('entity/index.html'), /<p>2<\/p><aside><p>Bad &#99999999; entity<\/p>\|Bad \ufffd entity<\/aside>$/);
+  });
+
+  it('own excerpt does not delay render'.padEnd( padDefault ), () => {
+    assert.strictEqual(priority, 0);
+  });
+
+});
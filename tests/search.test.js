@@ -0,0 +1,138 @@
+import { htmlSections, searchWords, searchIndex } from '../lib/search.js';
+import { testSite } from './site.js';
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('search.js/htmlSections function'.padEnd( padDefault + 2 ), () => {
+
+  it(
+    'htmlSections h2 and h3'.padEnd( padDefault ),
+    () => assert.deepStrictEqual(
+      htmlSections('<p>Intro</p><h2 id="one">One</h2><p>A</p><h3 id="two">Two <em>b</em></h3><p>B</p><h4 id="three">Three</h4>'),
+      [
+        { id: '', heading: '', html: '<p>Intro</p>' },
+        { id: 'one', heading: 'One', html: '<p>A</p>' },
+        { id: 'two', heading: 'Two b', html: '<p>B</p><h4 id="three">Three</h4>' },
+      ]
+    )
+  );
+
+  it(
+    'htmlSections headings without IDs'.padEnd( padDefault ),
+    () => assert.deepStrictEqual(
+      htmlSections('<h2>One</h2><p>A</p><h4 id="x">X</h4>', [2, 4]),
+      [
+        { id: '', heading: '', html: '<h2>One</h2><p>A</p>' },
+        { id: 'x', heading: 'X', html: '' },
+      ]
+    )
+  );
+
+});
+
+
+describe('search.js/searchWords function'.padEnd( padDefault + 2 ), () => {
+
+  [
+    { in: ['The quick, brown fox!'], out: ['quick', 'brown', 'fox'] },
+    { in: ['Café déjà vu 42 x'], out: ['café', 'déjà', 'vu', '42'] },
+    { in: ['The a fox', new Set(), 1], out: ['the', 'a', 'fox'] },
+    { in: ['node.js v20', undefined, 3], out: ['node', 'v20'] },
+  ].forEach((set, idx) => {
+
+    it(
+      `searchWords test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.deepStrictEqual(searchWords( ...set.in ), set.out)
+    );
+
+  });
+
+});
+
+
+describe('search.js/searchIndex function'.padEnd( padDefault + 2 ), () => {
+
+  const
+    docs = [
+      { link: '/a/', title: 'Alpha', description: 'First page', fields: { title: 'Alpha', content: 'alpha beta' } },
+      { link: '/b/#x', title: 'Beta', section: 'X', fields: { title: 'Beta', heading: 'X', content: 'beta beta gamma' } },
+    ],
+    index = searchIndex(docs, { weights: { title: 10, content: 1 } });
+
+  it(
+    'searchIndex documents'.padEnd( padDefault ),
+    () => assert.deepStrictEqual(index.docs, [
+      { link: '/a/', title: 'Alpha', description: 'First page' },
+      { link: '/b/#x', title: 'Beta', section: 'X' },
+    ])
+  );
+
+  it(
+    'searchIndex weighted scores'.padEnd( padDefault ),
+    () => assert.deepStrictEqual(index.index, {
+      alpha: [[0, 11]],
+      beta: [[1, 12], [0, 1]],
+      gamma: [[1, 1]],
+    })
+  );
+
+  it(
+    'searchIndex sorted words'.padEnd( padDefault ),
+    () => assert.deepStrictEqual(Object.keys(index.index), ['alpha', 'beta', 'gamma'])
+  );
+
+});
+
+
+describe('publican.js/search index'.padEnd( padDefault + 2 ), () => {
+
+  let site, files;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.content }',
+      'content/index.md': '---\ntitle: Home\n---\nWelcome visitors',
+      'content/about.md': '---\ntitle: About\n---\nAbout penguins',
+      'content/secret.md': '---\ntitle: Secret\nsearch: false\n---\nHidden walrus',
+      'content/hidden.md': '---\ntitle: Hidden\nindex: false\n---\nHidden otter',
+      'content/fr/index.md': '---\ntitle: Accueil\n---\nBienvenue',
+      'content/fr/about.md': '---\ntitle: À propos\n---\nManchots'
+    });
+
+    const publican = site.publican();
+    publican.config.i18n.locales = [ 'en', 'fr' ];
+    publican.config.search.enabled = true;
+    await publican.build();
+    files = await site.files();
+
+  });
+
+  after(() => site.remove());
+
+  it('opted out pages excluded'.padEnd( padDefault ), () => {
+
+    const { docs, index } = JSON.parse(files.get('search.json'));
+
+    assert.deepStrictEqual(docs.map(d => d.link), [ '/', '/about/' ]);
+    assert.ok(index.penguins);
+    assert.strictEqual(index.walrus, undefined);
+    assert.strictEqual(index.otter, undefined);
+
+  });
+
+  it('index for each locale'.padEnd( padDefault ), () => {
+
+    const { docs, index } = JSON.parse(files.get('fr/search.json'));
+
+    assert.deepStrictEqual(docs.map(d => d.link), [ '/fr/', '/fr/about/' ]);
+    assert.ok(index.manchots);
+    assert.strictEqual(index.penguins, undefined);
+    assert.strictEqual(JSON.parse(files.get('search.json')).index.manchots, undefined);
+
+  });
+
+});
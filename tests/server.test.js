@@ -0,0 +1,160 @@
+import { devServer, reloadPath } from '../lib/server.js';
+import { testSite } from './site.js';
+
+import { createServer } from 'node:http';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('server.js/devServer function'.padEnd( padDefault + 2 ), () => {
+
+  let dir, srv, url;
+
+  before(async () => {
+
+    dir = await mkdtemp( join(tmpdir(), 'publican-') );
+    await mkdir( join(dir, 'post') );
+    await writeFile( join(dir, 'index.html'), '<html><body><p>home</p></body></html>' );
+    await writeFile( join(dir, 'post', 'index.html'), '<p>post</p>' );
+    await writeFile( join(dir, '404.html'), '<p>not found</p>' );
+    await writeFile( join(dir, 'main.css'), 'body{}' );
+
+    srv = devServer({ dir, root: '/site/', notFound: '404.html', reload: true });
+    url = (await srv.listen(0, '127.0.0.1')).replace(/\/site\/$/, '');
+
+  });
+
+  after(async () => {
+    await srv.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  [
+    { path: '/site/', status: 200, type: 'text/html', body: /<p>home<\/p><script>[\s\S]+<\/script><\/body>/ },
+    { path: '/site/post/', status: 200, type: 'text/html', body: /^<p>post<\/p><script>/ },
+    { path: '/site/main.css', status: 200, type: 'text/css', body: /^body\{\}$/ },
+    { path: '/site/missing/', status: 404, type: 'text/html', body: /not found/ },
+    { path: '/site/..%2f..%2fetc%2fhosts', status: 404, type: 'text/html', body: /not found/ },
+    { path: '/other/', status: 404, type: 'text/html', body: /not found/ },
+  ].forEach((set, idx) => {
+
+    it(
+      `devServer test ${ idx + 1 }`.padEnd( padDefault ),
+      async () => {
+        const res = await fetch(url + set.path);
+        assert.strictEqual(res.status, set.status);
+        assert.ok(res.headers.get('content-type').startsWith(set.type));
+        assert.match(await res.text(), set.body);
+      }
+    );
+
+  });
+
+  it(
+    'devServer redirect'.padEnd( padDefault ),
+    async () => {
+      const res = await fetch(url + '/site/post?a=1', { redirect: 'manual' });
+      assert.strictEqual(res.status, 301);
+      assert.strictEqual(res.headers.get('location'), '/site/post/?a=1');
+    }
+  );
+
+  it(
+    'devServer reload event'.padEnd( padDefault ),
+    async () => {
+
+      const
+        ac = new AbortController(),
+        res = await fetch(url + reloadPath, { signal: ac.signal }),
+        reader = res.body.getReader(),
+        decoder = new TextDecoder();
+
+      assert.strictEqual(res.headers.get('content-type'), 'text/event-stream');
+
+      let text = decoder.decode((await reader.read()).value);
+      srv.reload('css');
+      while (!text.includes('data: css')) text += decoder.decode((await reader.read()).value);
+
+      ac.abort();
+      assert.match(text, /data: css\n\n/);
+
+    }
+  );
+
+});
+
+
+describe('publican.js/serve live reload'.padEnd( padDefault + 2 ), () => {
+
+  let site, publican, port;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '<html><body>${ data.content }</body></html>',
+      'content/index.md': 'Home',
+      'content/css/main.css': 'p{}'
+    });
+
+    // find an unused port
+    port = await new Promise(resolve => {
+      const srv = createServer().listen(0, '127.0.0.1', () => {
+        const { port } = srv.address();
+        srv.close(() => resolve(port));
+      });
+    });
+
+    publican = site.publican();
+    publican.config.watch = true;
+    publican.config.watchDebounce = 50;
+    Object.assign(publican.config.serve, { port, hostname: '127.0.0.1' });
+    await publican.build();
+    await publican.serve();
+
+  });
+
+  after(async () => {
+
+    await publican.close();
+    await site.remove();
+
+  });
+
+  // change a file and return the next reload event
+  const reloadEvent = async (file, content) => {
+
+    const
+      ac = new AbortController(),
+      res = await fetch(`http://127.0.0.1:${ port }${ reloadPath }`, { signal: ac.signal }),
+      reader = res.body.getReader(),
+      decoder = new TextDecoder();
+
+    let text = decoder.decode((await reader.read()).value);
+    await site.write(file, content);
+    while (!/data: \w+/.test(text)) text += decoder.decode((await reader.read()).value);
+
+    ac.abort();
+    return text.match(/data: (\w+)/)[1];
+
+  };
+
+  it('page served with reload script'.padEnd( padDefault ), async () => {
+
+    const res = await fetch(`http://127.0.0.1:${ port }/`);
+    assert.match(await res.text(), /Home[\s\S]*EventSource[\s\S]*<\/body>/);
+
+  });
+
+  it('page change reloads'.padEnd( padDefault ), async () => {
+    assert.strictEqual(await reloadEvent('content/index.md', 'Home page'), 'reload');
+  });
+
+  it('stylesheet change swaps CSS'.padEnd( padDefault ), async () => {
+    assert.strictEqual(await reloadEvent('content/css/main.css', 'p{color:red}'), 'css');
+  });
+
+});
@@ -0,0 +1,106 @@
+// temporary sites for build tests
+import { mkdtemp, mkdir, writeFile, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, dirname, relative } from 'node:path';
+
+import { Publican } from '../publican.js';
+
+
+// create a site in a temporary directory
+// files is an object of { 'content/index.md': 'text', 'template/default.html': 'text', ... }
+// returns { dir, publican(build), write(file, content), read(slug, build), files(build), remove() }
+export async function testSite(files = {}) {
+
+  const
+    dir = await mkdtemp( join(tmpdir(), 'publican-') ),
+    site = {
+
+      dir,
+
+      // Publican instance using the site directories
+      publican: (build = 'build') => {
+
+        const p = new Publican();
+        p.config.dir.content = join(dir, 'content', '/');
+        p.config.dir.template = join(dir, 'template', '/');
+        p.config.dir.build = join(dir, build, '/');
+        p.config.logLevel = 0;
+        return p;
+
+      },
+
+      // write a site file
+      write: async (file, content) => {
+
+        const path = join(dir, file);
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(path, content);
+
+      },
+
+      // read a build file
+      read: async (slug, build = 'build') => {
+
+        try {
+          return await readFile(join(dir, build, slug), 'utf8');
+        }
+        catch {
+          return null;
+        }
+
+      },
+
+      // Map of all build files: slug => content
+      files: async (build = 'build') => {
+
+        const
+          buildDir = join(dir, build),
+          files = new Map(),
+          list = (await readdir(buildDir, { recursive: true, withFileTypes: true })).filter(f => f.isFile());
+
+        for (const f of list) {
+          const path = join(f.parentPath ?? f.path, f.name);
+          files.set( relative(buildDir, path).replaceAll('\\', '/'), await readFile(path, 'utf8') );
+        }
+
+        return new Map( [...files].sort(([a], [b]) => (a < b ? -1 : 1)) );
+
+      },
+
+      // delete the site
+      remove: () => rm(dir, { recursive: true, force: true })
+
+    };
+
+  for (const [file, content] of Object.entries(files)) await site.write(file, content);
+
+  return site;
+
+}
+
+
+// resolve with the slugs rendered and written by the next render
+// call before the render starts
+export function nextRender(publican) {
+
+  return new Promise(resolve => {
+
+    const rendered = [];
+
+    const post = (content, data) => {
+      rendered.push(data.slug);
+      return content;
+    };
+
+    const end = write => {
+      publican.config.processPostRender.delete(post);
+      publican.config.processRenderEnd.delete(end);
+      resolve({ rendered: rendered.sort(), written: write.map(f => f.slug).sort() });
+    };
+
+    publican.config.processPostRender.add(post);
+    publican.config.processRenderEnd.add(end);
+
+  });
+
+}
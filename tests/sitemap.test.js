@@ -0,0 +1,125 @@
+import { sitemapXML, sitemapIndexXML } from '../lib/sitemap.js';
+import { testSite } from './site.js';
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('sitemap.js/sitemapXML function'.padEnd( padDefault + 2 ), () => {
+
+  [
+
+    {
+      in: [
+        { loc: 'https://publican.dev/', lastmod: new Date('2030-01-02T03:04:05.678Z'), changefreq: 'daily', priority: 1 },
+        { loc: 'https://publican.dev/a&b/', lastmod: null, changefreq: 'monthly', priority: 0.1 }
+      ],
+      out: '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n<url><loc>https://publican.dev/</loc><lastmod>2030-01-02T03:04:05Z</lastmod><changefreq>daily</changefreq><priority>1.0</priority></url>\n<url><loc>https://publican.dev/a&amp;b/</loc><changefreq>monthly</changefreq><priority>0.1</priority></url>\n</urlset>\n'
+    },
+    {
+      in: [
+        { loc: 'https://publican.dev/post/', lastmod: 'invalid', changefreq: 'sometimes', priority: 5 }
+      ],
+      out: '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n<url><loc>https://publican.dev/post/</loc><priority>1.0</priority></url>\n</urlset>\n'
+    },
+
+  ].forEach((set, idx) => {
+
+    it(
+      `sitemapXML test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.strictEqual(sitemapXML( set.in ), set.out)
+    );
+
+  });
+
+});
+
+
+describe('sitemap.js/sitemapIndexXML function'.padEnd( padDefault + 2 ), () => {
+
+  it(
+    'sitemapIndexXML test 1'.padEnd( padDefault ),
+    () => assert.strictEqual(
+      sitemapIndexXML([
+        { loc: 'https://publican.dev/sitemap-1.xml', lastmod: new Date('2030-01-02T00:00:00Z') },
+        { loc: 'https://publican.dev/sitemap-2.xml' }
+      ]),
+      '<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n<sitemap><loc>https://publican.dev/sitemap-1.xml</loc><lastmod>2030-01-02T00:00:00Z</lastmod></sitemap>\n<sitemap><loc>https://publican.dev/sitemap-2.xml</loc></sitemap>\n</sitemapindex>\n'
+    )
+  );
+
+});
+
+
+describe('publican.js/sitemap'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.content }',
+      'content/index.md': '---\ntitle: Home\npriority: 1\n---\nHome',
+      'content/about.md': '---\ntitle: About\nmodified: 2025-02-03\n---\nAbout',
+      'content/hidden.md': '---\ntitle: Hidden\nindex: false\n---\nHidden',
+      'content/draft.md': '---\ntitle: Draft\npublish: false\n---\nDraft',
+      'content/css/main.css': 'p{}',
+      'content/fr/index.md': '---\ntitle: Accueil\n---\nAccueil',
+      'content/fr/about.md': '---\ntitle: À propos\n---\nÀ propos'
+    });
+
+  });
+
+  after(() => site.remove());
+
+  // build with sitemap options and return the build files
+  const build = async (dir, siteURL, sitemap = {}) => {
+
+    const publican = site.publican(dir);
+    publican.config.siteURL = siteURL;
+    publican.config.i18n.locales = [ 'en', 'fr' ];
+    Object.assign(publican.config.sitemap, { enabled: true }, sitemap);
+    await publican.build();
+    return site.files(dir);
+
+  };
+
+  // URLs in a sitemap file
+  const locs = xml => [...(xml || '').matchAll(/<loc>([^<]+)<\/loc>/g)].map(m => m[1]);
+
+  it('sitemap URLs'.padEnd( padDefault ), async () => {
+
+    const xml = (await build('build-sitemap', 'https://example.com/')).get('sitemap.xml');
+
+    // all locales in one sitemap, skipped pages excluded
+    assert.deepStrictEqual(locs(xml), [
+      'https://example.com/',
+      'https://example.com/about/',
+      'https://example.com/fr/',
+      'https://example.com/fr/about/'
+    ]);
+
+    assert.match(xml, /<loc>https:\/\/example\.com\/<\/loc>.*<priority>1\.0<\/priority>/);
+    assert.match(xml, /<loc>https:\/\/example\.com\/about\/<\/loc><lastmod>2025-02-03T00:00:00Z<\/lastmod>/);
+
+  });
+
+  it('sitemap index'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-index', 'https://example.com', { filename: 'map.xml', size: 3 });
+
+    assert.deepStrictEqual(locs(files.get('map.xml')), [ 'https://example.com/map-1.xml', 'https://example.com/map-2.xml' ]);
+    assert.strictEqual(locs(files.get('map-1.xml')).length, 3);
+    assert.deepStrictEqual(locs(files.get('map-2.xml')), [ 'https://example.com/fr/about/' ]);
+
+  });
+
+  it('no sitemap without a siteURL'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-nourl', '');
+    assert.strictEqual(files.get('sitemap.xml'), undefined);
+
+  });
+
+});
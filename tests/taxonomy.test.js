@@ -0,0 +1,130 @@
+import { testSite } from './site.js';
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('publican.js/taxonomy index pages'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.content }',
+      'template/term.html': 'term:${ data.title }:${ data.pagination.page.map(p => p.title).join() }',
+      'template/terms.html': '${ data.title }|${ data.pagination.page.map(t => t.name + \':\' + t.count).join() }|${ (data.letterGroup || []).map(g => g.letter + \'=\' + g.list.map(t => t.name).join(\'+\')).join(\';\') }|${ data.pagination.hrefNext || \'\' }',
+      'content/a.md': '---\ntitle: A\ndate: 2025-01-01\ntags: 1, apple, banana\n---\nA',
+      'content/b.md': '---\ntitle: B\ndate: 2025-01-02\ntags: apple, cherry\n---\nB',
+      'content/c.md': '---\ntitle: C\ndate: 2025-01-03\ntags: apple, banana, avocado\n---\nC'
+    });
+
+  });
+
+  after(() => site.remove());
+
+  // build with index page options
+  const build = async (dir, indexPage) => {
+
+    const publican = site.publican(dir);
+    publican.config.tagPages.template = 'term.html';
+    Object.assign(publican.config.tagPages.indexPage, { enabled: true, template: 'terms.html' }, indexPage);
+    await publican.build();
+    return site.files(dir);
+
+  };
+
+  it('terms by name with letter groups'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-name', { letterGroup: true });
+
+    assert.strictEqual(
+      files.get('tag/index.html'),
+      'Tag|1:1,apple:3,avocado:1,banana:2,cherry:1|#=1;A=apple+avocado;B=banana;C=cherry|'
+    );
+
+    assert.strictEqual(files.get('tag/1/index.html'), 'term:1:A');
+    assert.strictEqual(files.get('tag/apple/index.html'), 'term:apple:C,B,A');
+
+  });
+
+  it('terms by count with a minimum count'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-count', { title: 'Topics', sortBy: 'count', minCount: 2 });
+    assert.strictEqual(files.get('tag/index.html'), 'Topics|apple:3,banana:2||');
+
+  });
+
+  it('paginated terms do not replace terms'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-page', { size: 2 });
+
+    assert.strictEqual(files.get('tag/index.html'), 'Tag|1:1,apple:3||/tag/page/1/');
+    assert.strictEqual(files.get('tag/page/1/index.html'), 'Tag|avocado:1,banana:2||/tag/page/2/');
+    assert.strictEqual(files.get('tag/page/2/index.html'), 'Tag|cherry:1||');
+    assert.strictEqual(files.get('tag/1/index.html'), 'term:1:A');
+    assert.strictEqual(files.get('tag/2/index.html'), undefined);
+
+  });
+
+  it('index page slug used by a term'.padEnd( padDefault ), async () => {
+
+    const files = await build('build-collide', { size: 2, pageDir: '' });
+
+    // index page is not paginated
+    assert.strictEqual(files.get('tag/index.html'), 'Tag|1:1,apple:3,avocado:1,banana:2,cherry:1||');
+    assert.strictEqual(files.get('tag/1/index.html'), 'term:1:A');
+
+  });
+
+  it('tag named page'.padEnd( padDefault ), async () => {
+
+    await site.write('content/d.md', '---\ntitle: D\ndate: 2025-01-04\ntags: page\n---\nD');
+    await site.write('content/e.md', '---\ntitle: E\ndate: 2025-01-05\ntags: page\n---\nE');
+
+    const publican = site.publican('build-tag-page');
+    publican.config.tagPages.template = 'term.html';
+    publican.config.tagPages.size = 1;
+    Object.assign(publican.config.tagPages.indexPage, { enabled: true, template: 'terms.html', size: 3 });
+    await publican.build();
+
+    const files = await site.files('build-tag-page');
+    assert.strictEqual(files.get('tag/index.html'), 'Tag|1:1,apple:3,avocado:1,banana:2,cherry:1,page:2||');
+    assert.strictEqual(files.get('tag/page/index.html'), 'term:page:E');
+    assert.strictEqual(files.get('tag/page/1/index.html'), 'term:page:D');
+
+  });
+
+});
+
+
+describe('publican.js/taxonomy roots'.padEnd( padDefault + 2 ), () => {
+
+  let site;
+
+  before(async () => {
+
+    site = await testSite({
+      'template/default.html': '${ data.title }',
+      'content/a.md': '---\ntitle: A\ndate: 2025-01-01\ntags: apple\ncategories: fruit\n---\nA'
+    });
+
+  });
+
+  after(() => site.remove());
+
+  it('default tag and taxonomy roots'.padEnd( padDefault ), async () => {
+
+    const publican = site.publican();
+    delete publican.config.tagPages.root;
+    publican.config.taxonomy.categories = { size: 10 };
+    await publican.build();
+
+    const files = await site.files();
+    assert.strictEqual(files.get('apple/index.html'), 'apple');
+    assert.strictEqual(files.get('categories/fruit/index.html'), 'fruit');
+
+  });
+
+});
@@ -0,0 +1,50 @@
+import { textCount, htmlWordCount } from '../lib/wordcount.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+const padDefault = 40;
+
+describe('wordcount.js/textCount function'.padEnd( padDefault + 2 ), () => {
+
+  [
+    { in: ['Hello world, it’s 2025!'], out: { words: 4, cjk: 0 } },
+    { in: ['  '], out: { words: 0, cjk: 0 } },
+    { in: ['日本語のテキストです。', 'ja'], out: { words: 0, cjk: 10 } },
+    { in: ['中文文本 and English', 'zh'], out: { words: 2, cjk: 4 } },
+    { in: ['한국어 텍스트', 'ko'], out: { words: 2, cjk: 0 } },
+    { in: ['one two', 'invalid locale!'], out: { words: 2, cjk: 0 } },
+  ].forEach((set, idx) => {
+
+    it(
+      `textCount test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.deepStrictEqual(textCount( ...set.in ), set.out)
+    );
+
+  });
+
+});
+
+
+describe('wordcount.js/htmlWordCount function'.padEnd( padDefault + 2 ), () => {
+
+  const
+    opt = { code: false, wordsPerMinute: 2, cjkPerMinute: 5 },
+    html = '<h2>Title</h2><p>one <em>two</em></p><pre><code>const a = 1;</code></pre><p>use <code>x</code></p>';
+
+  [
+    { in: [html, opt], out: { wordCount: 4, readingTime: 2 } },
+    { in: [html, { ...opt, code: true }], out: { wordCount: 8, readingTime: 4 } },
+    { in: ['<p>中文文本 text</p>', opt, 'zh'], out: { wordCount: 5, readingTime: 2 } },
+    { in: ['<p><!-- note --></p>', opt], out: { wordCount: 0, readingTime: 0 } },
+    { in: ['<p>one two</p>', {}], out: { wordCount: 2, readingTime: 0 } },
+  ].forEach((set, idx) => {
+
+    it(
+      `htmlWordCount test ${ idx + 1 }`.padEnd( padDefault ),
+      () => assert.deepStrictEqual(htmlWordCount( ...set.in ), set.out)
+    );
+
+  });
+
+});